@@ -0,0 +1,36 @@
+'use strict';
+
+const Collector = require('../lib/index.js');
+
+// Collect any new reviews for Instagram every hour and for Facebook at the top of every 6th hour
+const collector = new Collector(
+	[
+		'com.instagram.android',
+		'com.facebook.katana'
+	],
+	{ maxPages: 0, checkpoints: new Collector.FileCheckpointStore('./checkpoints.json') }
+);
+const scheduler = new Collector.Scheduler(collector, {
+	every: '1h',
+	apps: {
+		'com.facebook.katana': { cron: '0 */6 * * *' },
+	},
+});
+
+// Report the star rating of each review and which app it is for
+collector.on('review', (result) => {
+	console.log(`Found a ${result.review.rating} star rating for ${result.appId} on page ${result.pageNum}`);
+});
+
+// Report each cycle and when the next one is due
+scheduler.on('cycle complete', (result) => {
+	console.log(`Finished cycle ${result.cycle} for ${result.appId} (${result.outcome}), next one at ${result.nextCycle}`);
+});
+
+// The process exits once SIGTERM has stopped the scheduler and the last page is done
+scheduler.on('stopped', () => {
+	console.log('Stopped collecting');
+});
+
+// Start the first cycle(s)
+scheduler.start();
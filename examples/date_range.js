@@ -0,0 +1,31 @@
+'use strict';
+
+const Collector = require('../lib/index.js');
+
+// Collect the last 2 days of reviews for two apps (Instagram and Facebook), up to 10 pages each
+const collector = new Collector(
+	[
+		'com.instagram.android',
+		'com.facebook.katana'
+	],
+	{ since: '2d', maxPages: 10 }
+);
+
+// Report the star rating of each review and which app it is for
+collector.on('review', (result) => {
+	console.log(`Found a ${result.review.rating} star rating for ${result.appId} on page ${result.pageNum}`);
+});
+
+// Report when we finish processing reviews for an app and tell us how many apps are left to process
+collector.on('done collecting', (result) => {
+	if (result.error) {
+		console.error(`Finished collecting for ${result.appId} due to error: ${result.error}, with ${result.appsRemaining} apps to go`);
+	} else {
+		console.log(`Finished collecting for ${result.appId} after page ${result.pageNum}, with ${result.appsRemaining} apps to go`);
+	}
+});
+
+// Start collecting, and let us know once we're done
+collector.collect().then(() => {
+	console.log('Finished collecting for all of the apps');
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * The Play Store's newer review API, which is called through its 'batchexecute' RPC endpoint
+ * Pages are requested with a continuation token (instead of a page #) and come back as nested
+ * arrays of review data (instead of HTML)
+ */
+
+// The ID of the RPC that lists an app's reviews
+const rpcId = 'UsvDTd';
+// The # of reviews to ask for on each page (the same as the legacy endpoint)
+const pageSize = 40;
+// How the API refers to our sort orders
+const sortOrders = {
+	helpfulness: 1,
+	newest: 2,
+	rating: 3,
+};
+
+/**
+ * Build the request for a page of an app's reviews
+ * @param {Object} settings - The request's settings
+ * @param {string} settings.baseUrl - Where to send the request (e.g. 'https://play.google.com')
+ * @param {string} settings.appId - The ID of the app
+ * @param {string} settings.sortOrder - One of the Collector's sort orders
+ * @param {string} [settings.token] - The continuation token of the page (none for the first page)
+ * @param {string} [settings.language] - The language to request the reviews in
+ * @param {string} [settings.country] - The country to request the reviews for
+ * @param {string} settings.userAgent - The user agent to make the request with
+ * @return {Object} The request
+ */
+function createRequest(settings) {
+	let url = `${settings.baseUrl}/_/PlayStoreUi/data/batchexecute?rpcids=${rpcId}`;
+	if (settings.language) {
+		url += `&hl=${encodeURIComponent(settings.language)}`;
+	}
+	if (settings.country) {
+		url += `&gl=${encodeURIComponent(settings.country)}`;
+	}
+	url += '&authuser&soc-app=121&soc-platform=1&soc-device=1&rt=c';
+	const args = [
+		null,
+		null,
+		[2, sortOrders[settings.sortOrder], [pageSize, null, settings.token || null], null, []],
+		[settings.appId, 7],
+	];
+	return {
+		uri: url,
+		method: 'POST',
+		headers: {
+			'User-Agent': settings.userAgent,
+			'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8',
+		},
+		form: {
+			'f.req': JSON.stringify([[[rpcId, JSON.stringify(args), null, 'generic']]]),
+		},
+	};
+}
+
+/**
+ * Pull the review data out of a response
+ * @param {string} body - The body of the response
+ * @return {Object|undefined} The raw 'reviews' and the continuation 'token' of the next page
+ * (null if this was the last page), or undefined if the response wasn't in the format we expected
+ */
+function parseResponse(body) {
+	if (typeof body !== 'string' || body.indexOf(')]}\'') !== 0) {
+		return undefined;
+	}
+	// The response is split into chunks, each on its own line and preceded by its length
+	const chunks = _.compact(_.map(body.slice(4).split('\n'), parseChunk));
+	const envelope = _.find(_.flatten(chunks), (entry) => (
+		_.isArray(entry) && entry[0] === 'wrb.fr' && entry[1] === rpcId
+	));
+	if (!envelope) {
+		return undefined;
+	}
+	if (envelope[2] === null) {
+		// The app doesn't have any (more) reviews
+		return { reviews: [], token: null };
+	}
+	const data = JSON.parse(envelope[2]);
+	return {
+		reviews: data[0] || [],
+		token: _.get(data, [1, 1]) || null,
+	};
+}
+
+/**
+ * Parse one line of a response
+ * @param {string} line - The line
+ * @return {Array|undefined} The chunk, or undefined if the line isn't one (e.g. it's a chunk's length)
+ */
+function parseChunk(line) {
+	if (line.charAt(0) !== '[') {
+		return undefined;
+	}
+	try {
+		return JSON.parse(line);
+	} catch (err) {
+		return undefined;
+	}
+}
+
+/**
+ * Turn one of the API's reviews into the same review object that the legacy endpoint gives us
+ * @param {Array} raw - The review data
+ * @param {string} appId - The ID of the app the review belongs to
+ * @return {Object} The review object
+ */
+function toReview(raw, appId) {
+	const author = raw[1] || [];
+	const reply = raw[7];
+	return {
+		id: raw[0],
+		date: toDate(raw[5]),
+		rating: raw[2],
+		// The API doesn't have review titles anymore
+		title: '',
+		text: raw[4] || '',
+		author: {
+			name: author[0] || null,
+			profileUrl: null,
+			avatarUrl: _.get(author, [1, 3, 2]) || null,
+		},
+		permalink: `https://play.google.com/store/apps/details?id=${appId}&reviewId=${encodeURIComponent(raw[0])}`,
+		helpfulCount: typeof raw[6] === 'number' ? raw[6] : null,
+		developerReply: reply ? {
+			author: reply[0] || null,
+			text: reply[1] || '',
+			date: toDate(reply[2]),
+		} : null,
+	};
+}
+
+/**
+ * Turn one of the API's timestamps ([seconds, nanoseconds]) into a Date
+ * @param {Array} [timestamp] - The timestamp
+ * @return {Date|null} The date, or null if there wasn't one
+ */
+function toDate(timestamp) {
+	return (timestamp && typeof timestamp[0] === 'number') ? new Date(timestamp[0] * 1000) : null;
+}
+
+module.exports = {
+	createRequest: createRequest,
+	parseResponse: parseResponse,
+	toReview: toReview,
+	sortOrders: sortOrders,
+};
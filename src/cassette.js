@@ -0,0 +1,105 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+
+/*
+ * A cassette is a directory of recorded request/response pairs, one JSON file per request
+ * Recording one lets the Collector replay a crawl later without making any requests
+ */
+
+// The ways a cassette can be used
+const modes = ['record', 'replay'];
+
+class Cassette {
+
+	/**
+	 * Initialize a new cassette
+	 * @param {string} dir - The directory the recordings are kept in (it will be created when recording)
+	 */
+	constructor(dir) {
+		if (typeof dir !== 'string') {
+			throw new Error('You must provide a directory for the cassette');
+		}
+		this.dir = dir;
+	}
+
+	/**
+	 * Get the path of the file that a request's response is recorded in
+	 * Only the parts of the request that decide the response are used, so changing
+	 * the user agent (for example) doesn't stop a recording from being replayed
+	 * @param {Object} request - The request, with a 'method', 'uri' and (optional) 'form'
+	 * @return {string} The path of the file
+	 */
+	pathFor(request) {
+		const key = `${request.method} ${request.uri} ${JSON.stringify(request.form || {})}`;
+		const hash = crypto.createHash('sha1').update(key).digest('hex');
+		return path.join(this.dir, `${hash}.json`);
+	}
+
+	/**
+	 * Load the recorded response to a request
+	 * @param {Object} request - The request
+	 * @return {Promise} Resolves with the response, or rejects if it was never recorded
+	 */
+	load(request) {
+		const filePath = this.pathFor(request);
+		return new Promise((resolve, reject) => {
+			fs.readFile(filePath, 'utf8', (err, contents) => {
+				if (err && err.code === 'ENOENT') {
+					reject(new Error(`No recorded response for ${request.method} ${request.uri}`));
+				} else if (err) {
+					reject(err);
+				} else {
+					try {
+						resolve(JSON.parse(contents).response);
+					} catch (parseErr) {
+						reject(parseErr);
+					}
+				}
+			});
+		});
+	}
+
+	/**
+	 * Record the response to a request (replacing any earlier recording of it)
+	 * @param {Object} request - The request
+	 * @param {Object} response - The response, with a 'statusCode', 'headers' and 'body'
+	 * @return {Promise} Resolves once the recording has been written to disk
+	 */
+	save(request, response) {
+		const recording = {
+			request: _.pick(request, ['method', 'uri', 'form']),
+			response: {
+				statusCode: response.statusCode,
+				headers: response.headers,
+				body: String(response.body),
+			},
+		};
+		return makeDir(this.dir).then(() => new Promise((resolve, reject) => {
+			const contents = JSON.stringify(recording, null, '\t');
+			fs.writeFile(this.pathFor(request), contents, 'utf8', (err) => (
+				err ? reject(err) : resolve()
+			));
+		}));
+	}
+
+}
+
+/**
+ * Create a directory if it doesn't already exist (its parent must exist)
+ * @param {string} dir - The path of the directory
+ * @return {Promise} Resolves once the directory exists
+ */
+function makeDir(dir) {
+	return new Promise((resolve, reject) => {
+		fs.mkdir(dir, (err) => (err && err.code !== 'EEXIST' ? reject(err) : resolve()));
+	});
+}
+
+module.exports = {
+	Cassette: Cassette,
+	modes: modes,
+};
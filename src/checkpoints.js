@@ -0,0 +1,110 @@
+'use strict';
+
+const _ = require('lodash');
+const jsonFile = require('./json-file');
+
+/*
+ * A checkpoint store remembers the newest review that was collected for each app
+ * Stores must implement get(appId) and set(appId, checkpoint), both returning promises
+ * A checkpoint looks like: { reviewId: 'gp:AOqpTOHvkDG-YUK...', date: Date }
+ */
+
+class MemoryCheckpointStore {
+
+	/**
+	 * Initialize a new in-memory checkpoint store
+	 * @param {Object} [checkpoints] - Checkpoints to start with, keyed by app ID
+	 */
+	constructor(checkpoints) {
+		this.checkpoints = _.mapValues(checkpoints || {}, normalize);
+	}
+
+	/**
+	 * Get the checkpoint for an app
+	 * @param {string} appId - The ID of the app
+	 * @return {Promise} Resolves with the checkpoint, or undefined if there isn't one
+	 */
+	get(appId) {
+		return Promise.resolve(_.clone(this.checkpoints[appId]));
+	}
+
+	/**
+	 * Save the checkpoint for an app
+	 * @param {string} appId - The ID of the app
+	 * @param {Object} checkpoint - The checkpoint to save
+	 * @return {Promise} Resolves once the checkpoint has been saved
+	 */
+	set(appId, checkpoint) {
+		this.checkpoints[appId] = normalize(checkpoint);
+		return Promise.resolve();
+	}
+
+}
+
+class FileCheckpointStore {
+
+	/**
+	 * Initialize a new checkpoint store backed by a JSON file
+	 * @param {string} filePath - The path of the JSON file (it will be created if it doesn't exist)
+	 */
+	constructor(filePath) {
+		if (typeof filePath !== 'string') {
+			throw new Error('You must provide a file path for the FileCheckpointStore');
+		}
+		this.filePath = filePath;
+		// Writes are chained so that two apps finishing at once can't clobber each other
+		this.writing = Promise.resolve();
+	}
+
+	/**
+	 * Get the checkpoint for an app
+	 * @param {string} appId - The ID of the app
+	 * @return {Promise} Resolves with the checkpoint, or undefined if there isn't one
+	 */
+	get(appId) {
+		// A write that failed shouldn't stop us from reading what's on disk
+		return this.writing
+			.catch(() => null)
+			.then(() => jsonFile.read(this.filePath))
+			.then((checkpoints) => (checkpoints[appId] ? normalize(checkpoints[appId]) : undefined));
+	}
+
+	/**
+	 * Save the checkpoint for an app
+	 * @param {string} appId - The ID of the app
+	 * @param {Object} checkpoint - The checkpoint to save
+	 * @return {Promise} Resolves once the checkpoint has been written to disk
+	 */
+	set(appId, checkpoint) {
+		this.writing = this.writing
+			.catch(() => null)
+			.then(() => jsonFile.read(this.filePath))
+			.then((checkpoints) => {
+				const updated = _.assign(checkpoints, { [appId]: normalize(checkpoint) });
+				return jsonFile.write(this.filePath, updated);
+			});
+		return this.writing;
+	}
+
+}
+
+/**
+ * Make sure a checkpoint's date is a Date (it will be a string when read from JSON)
+ * @param {Object} checkpoint - The checkpoint
+ * @return {Object} A copy of the checkpoint
+ */
+function normalize(checkpoint) {
+	const normalized = {
+		reviewId: checkpoint.reviewId,
+		date: checkpoint.date ? new Date(checkpoint.date) : null,
+	};
+	if (normalized.date && isNaN(normalized.date.getTime())) {
+		normalized.date = null;
+	}
+	return normalized;
+}
+
+module.exports = {
+	MemoryCheckpointStore: MemoryCheckpointStore,
+	FileCheckpointStore: FileCheckpointStore,
+};
@@ -0,0 +1,312 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const Collector = require('./index');
+const errors = require('./errors');
+
+/*
+ * The reviews-collector-android command: collects reviews for apps and writes them out
+ * as NDJSON, CSV or a JSON array
+ */
+
+const usage = `Usage: reviews-collector-android [options] <appId>...
+
+Options:
+  -f, --apps-file <path>     Read app IDs from a file (one per line, # for comments)
+  -o, --output <path>        Write reviews to a file instead of stdout
+  --format <format>          ndjson, csv or json (default: ndjson)
+  --max-pages <n>            The most pages to collect per app, 0 for unlimited (default: 5)
+  --delay <ms>               The delay between page requests (default: 5000)
+  --max-retries <n>          The maximum # of attempts for each page (default: 3)
+  --user-agent <string>      The user agent to make requests with
+  --log-level <level>        debug, info, warn, error or silent (default: info)
+  -h, --help                 Show this message
+
+Exit codes:
+  0  Every app was collected (or stdout was closed early)
+  1  The command couldn't run (e.g. an invalid option or an unwritable output)
+  2  At least one app reached its retry limit
+  3  At least one app failed for another reason (e.g. it wasn't found)
+`;
+
+const exitCodes = {
+	ok: 0,
+	usage: 1,
+	retryLimit: 2,
+	failed: 3,
+};
+
+// Flags that take a value, and the options they set
+const valueFlags = {
+	'--apps-file': 'appsFile',
+	'-f': 'appsFile',
+	'--output': 'output',
+	'-o': 'output',
+	'--format': 'format',
+	'--max-pages': 'maxPages',
+	'--delay': 'delay',
+	'--max-retries': 'maxRetries',
+	'--user-agent': 'userAgent',
+	'--log-level': 'logLevel',
+};
+// Options that must be whole numbers
+const numericOptions = ['maxPages', 'delay', 'maxRetries'];
+
+// The columns of the CSV format, and how to get each one from a 'review' event
+const csvColumns = [
+	['appId', (result) => result.appId],
+	['pageNum', (result) => result.pageNum],
+	['id', (result) => result.review.id],
+	['date', (result) => result.review.date],
+	['rating', (result) => result.review.rating],
+	['title', (result) => result.review.title],
+	['text', (result) => result.review.text],
+	['authorName', (result) => _.get(result.review, 'author.name')],
+	['helpfulCount', (result) => result.review.helpfulCount],
+	['permalink', (result) => result.review.permalink],
+	['developerReplyText', (result) => _.get(result.review, 'developerReply.text')],
+	['developerReplyDate', (result) => _.get(result.review, 'developerReply.date')],
+];
+
+// How to write reviews in each format
+const formats = {
+	ndjson: {
+		header: () => '',
+		review: (result) => `${JSON.stringify(toRecord(result))}\n`,
+		footer: () => '',
+	},
+	json: {
+		header: () => '[',
+		review: (result, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(toRecord(result))}`,
+		footer: (count) => (count > 0 ? '\n]\n' : ']\n'),
+	},
+	csv: {
+		header: () => `${_.map(csvColumns, (column) => column[0]).join(',')}\r\n`,
+		review: (result) => {
+			const values = _.map(csvColumns, (column) => toCsvValue(column[1](result)));
+			return `${values.join(',')}\r\n`;
+		},
+		footer: () => '',
+	},
+};
+
+/**
+ * Parse the command's arguments
+ * @param {string[]} argv - The arguments (without 'node' and the script's path)
+ * @return {Object} The 'appIds', 'appsFile', 'output', 'format', 'help' and Collector 'options'
+ */
+function parseArgs(argv) {
+	const parsed = {
+		appIds: [],
+		format: 'ndjson',
+		help: false,
+		options: {},
+	};
+	const args = argv.slice();
+	while (args.length > 0) {
+		const arg = args.shift();
+		// Allow both '--flag value' and '--flag=value'
+		const equals = arg.indexOf('=');
+		const flag = (arg.indexOf('--') === 0 && equals !== -1) ? arg.slice(0, equals) : arg;
+		if (flag === '-h' || flag === '--help') {
+			parsed.help = true;
+		} else if (_.has(valueFlags, flag)) {
+			const value = (flag !== arg) ? arg.slice(equals + 1) : args.shift();
+			if (typeof value === 'undefined') {
+				throw new errors.OptionsError(`${flag} needs a value`);
+			}
+			setOption(parsed, valueFlags[flag], value);
+		} else if (arg.indexOf('-') === 0) {
+			throw new errors.OptionsError(`Unknown option: ${arg}`);
+		} else {
+			parsed.appIds.push(arg);
+		}
+	}
+	if (!_.has(formats, parsed.format)) {
+		throw new errors.OptionsError(`--format must be one of: ${_.keys(formats).join(', ')}`);
+	}
+	return parsed;
+}
+
+/**
+ * Set one of the parsed arguments
+ * @param {Object} parsed - The arguments parsed so far
+ * @param {string} name - The name of the option
+ * @param {string} value - The value given on the command line
+ */
+function setOption(parsed, name, value) {
+	const target = parsed;
+	if (_.includes(numericOptions, name)) {
+		if (!/^[0-9]+$/.test(value)) {
+			throw new errors.OptionsError(`--${_.kebabCase(name)} must be a whole number`);
+		}
+		target.options[name] = Number(value);
+	} else if (name === 'userAgent' || name === 'logLevel') {
+		target.options[name] = value;
+	} else {
+		target[name] = value;
+	}
+}
+
+/**
+ * Read a list of app IDs from a file
+ * @param {string} filePath - The path of the file, with one app ID per line
+ * @return {string[]} The app IDs, without blank lines or comments
+ */
+function readAppIds(filePath) {
+	return _.compact(_.map(fs.readFileSync(filePath, 'utf8').split(/\r?\n/), (line) => (
+		line.replace(/#.*$/, '').trim()
+	)));
+}
+
+/**
+ * Turn a 'review' event into the object we write out in the JSON formats
+ * @param {Object} result - The object emitted with the 'review' event
+ * @return {Object} The review, along with its app ID and page
+ */
+function toRecord(result) {
+	return _.assign({
+		appId: result.appId,
+		pageNum: result.pageNum,
+	}, result.review);
+}
+
+/**
+ * Format a value as a CSV field, quoting it if it has any commas, quotes or line breaks
+ * @param {*} value - The value
+ * @return {string} The field
+ */
+function toCsvValue(value) {
+	if (value === null || typeof value === 'undefined') {
+		return '';
+	}
+	const str = _.isDate(value) ? value.toISOString() : String(value);
+	if (/[",\r\n]/.test(str)) {
+		return `"${str.replace(/"/g, '""')}"`;
+	}
+	return str;
+}
+
+/**
+ * Decide what the command's exit code should be
+ * @param {Object} summary - What the Collector's collect() resolved with
+ * @return {number} The exit code
+ */
+function exitCodeFor(summary) {
+	const failures = _.filter(_.map(summary, 'error'));
+	if (_.some(failures, (error) => error instanceof errors.RetryLimitError)) {
+		return exitCodes.retryLimit;
+	}
+	return failures.length > 0 ? exitCodes.failed : exitCodes.ok;
+}
+
+/**
+ * Run the command
+ * @param {string[]} argv - The arguments (without 'node' and the script's path)
+ * @param {Object} io - The 'stdout' and 'stderr' streams to write to
+ * @return {Promise} Resolves with the exit code once everything has been written
+ */
+function run(argv, io) {
+	let parsed;
+	try {
+		parsed = parseArgs(argv);
+		if (parsed.help) {
+			io.stdout.write(usage);
+			return Promise.resolve(exitCodes.ok);
+		}
+		if (parsed.appsFile) {
+			parsed.appIds = parsed.appIds.concat(readAppIds(parsed.appsFile));
+		}
+		if (parsed.appIds.length === 0) {
+			throw new errors.OptionsError('You must provide at least one app ID');
+		}
+	} catch (err) {
+		io.stderr.write(`${err.message}\n\n${usage}`);
+		return Promise.resolve(exitCodes.usage);
+	}
+
+	// Logs go to stderr so that they don't get mixed up with the reviews
+	const log = (message) => io.stderr.write(`${message}\n`);
+	let collector;
+	try {
+		collector = new Collector(_.uniq(parsed.appIds), _.assign({
+			logger: { debug: log, info: log, warn: log, error: log },
+		}, parsed.options));
+	} catch (err) {
+		io.stderr.write(`${err.message}\n`);
+		return Promise.resolve(exitCodes.usage);
+	}
+
+	const out = parsed.output ? fs.createWriteStream(parsed.output) : io.stdout;
+	const format = formats[parsed.format];
+	let count = 0;
+	let draining;
+	let failed = false;
+	let resolveRun;
+	const finished = new Promise((resolve) => {
+		resolveRun = resolve;
+	});
+	// Stop collecting if we can't write the reviews anywhere
+	out.on('error', (err) => {
+		if (failed) {
+			return;
+		}
+		failed = true;
+		collector.cancel();
+		if (err.code === 'EPIPE') {
+			// Whatever we were piped into (e.g. 'head') has all of the reviews it wants
+			resolveRun(exitCodes.ok);
+		} else {
+			io.stderr.write(`Could not write to ${parsed.output || 'stdout'}: ${err.message}\n`);
+			resolveRun(exitCodes.usage);
+		}
+	});
+	// Don't let the Collector get ahead of a slow output
+	collector.holds.push(() => draining);
+	out.write(format.header());
+	collector.on('review', (result) => {
+		if (failed) {
+			return;
+		}
+		if (!out.write(format.review(result, count)) && !draining) {
+			draining = new Promise((resolve) => {
+				out.once('drain', () => {
+					draining = undefined;
+					resolve();
+				});
+			});
+		}
+		count++;
+	});
+	collector.on('done collecting', (result) => {
+		if (result.error) {
+			log(`Finished ${result.appId} with an error: ${result.error.message}`);
+		}
+	});
+
+	collector.collect().then((summary) => {
+		if (failed) {
+			return;
+		}
+		const code = exitCodeFor(summary);
+		out.write(format.footer(count));
+		if (out === io.stdout) {
+			resolveRun(code);
+		} else {
+			out.end((err) => {
+				// A file that couldn't be written is reported by the 'error' listener instead
+				if (!err && !failed) {
+					resolveRun(code);
+				}
+			});
+		}
+	});
+	return finished;
+}
+
+module.exports = {
+	run: run,
+	parseArgs: parseArgs,
+	exitCodes: exitCodes,
+};
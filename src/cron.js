@@ -0,0 +1,145 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+
+/*
+ * Cron expressions ("minute hour day-of-month month day-of-week", in local time) for the Scheduler
+ * Each field can be '*', a number, a range ('1-5'), a list ('1,15') or a range with a step ('0-30/10')
+ */
+
+// The fields of an expression, in order, and the values each one can have
+const fields = [
+	{ name: 'minutes', min: 0, max: 59 },
+	{ name: 'hours', min: 0, max: 23 },
+	{ name: 'daysOfMonth', min: 1, max: 31 },
+	{ name: 'months', min: 1, max: 12 },
+	// Sunday can be either 0 or 7
+	{ name: 'daysOfWeek', min: 0, max: 7 },
+];
+// Shorthands for common expressions
+const aliases = {
+	'@hourly': '0 * * * *',
+	'@daily': '0 0 * * *',
+	'@midnight': '0 0 * * *',
+	'@weekly': '0 0 * * 0',
+	'@monthly': '0 0 1 * *',
+	'@yearly': '0 0 1 1 *',
+	'@annually': '0 0 1 1 *',
+};
+// How far ahead we look for the next matching time before deciding there isn't one (8 years covers leap days)
+const searchLimit = 8 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - The expression (e.g. '0 * * * *' or '@hourly')
+ * @return {Object} The values that match each field, and whether the day fields were restricted
+ */
+function parseCron(expression) {
+	const text = (typeof expression === 'string') ? expression.trim() : '';
+	const parts = (aliases[text] || text).split(/\s+/);
+	if (parts.length !== fields.length) {
+		throw new errors.OptionsError(
+			`Invalid cron expression "${expression}": it must have ${fields.length} fields`
+		);
+	}
+	const schedule = {};
+	_.forEach(fields, (field, i) => {
+		const values = parseField(parts[i], field);
+		if (values === null) {
+			throw new errors.OptionsError(
+				`Invalid cron expression "${expression}": ` +
+				`"${parts[i]}" is not a valid ${_.lowerCase(field.name)} field`
+			);
+		}
+		schedule[field.name] = values;
+	});
+	schedule.daysOfWeek = _.uniq(_.map(schedule.daysOfWeek, (day) => day % 7));
+	// Like cron, a day matches either day field if both are restricted, but must match both otherwise
+	schedule.anyDayOfMonth = parts[2].charAt(0) === '*';
+	schedule.anyDayOfWeek = parts[4].charAt(0) === '*';
+	return schedule;
+}
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - The field
+ * @param {Object} field - The field's 'min' and 'max' values
+ * @return {number[]|null} The values that match the field, or null if it isn't valid
+ */
+function parseField(text, field) {
+	let values = [];
+	const valid = _.every(text.split(','), (part) => {
+		const match = /^(\*|([0-9]+)(?:-([0-9]+))?)(?:\/([0-9]+))?$/.exec(part);
+		if (!match) {
+			return false;
+		}
+		const step = match[4] ? Number(match[4]) : 1;
+		let start = field.min;
+		let end = field.max;
+		if (match[1] !== '*') {
+			start = Number(match[2]);
+			if (match[3]) {
+				end = Number(match[3]);
+			} else if (!match[4]) {
+				// A single value with a step (e.g. '5/15') runs to the end of the field, but one without is just itself
+				end = start;
+			}
+		}
+		if (step < 1 || start < field.min || end > field.max || start > end) {
+			return false;
+		}
+		values = values.concat(_.range(start, end + 1, step));
+		return true;
+	});
+	return valid ? _.sortBy(_.uniq(values)) : null;
+}
+
+/**
+ * Find the next time that matches a cron expression
+ * @param {Object} schedule - The parsed expression (see parseCron())
+ * @param {Date} after - The time to start looking from (it won't be returned itself)
+ * @return {Date|null} The next matching minute, or null if the expression never matches (e.g. February 30th)
+ */
+function nextTime(schedule, after) {
+	const date = new Date(after.getTime());
+	date.setSeconds(0, 0);
+	date.setMinutes(date.getMinutes() + 1);
+	const limit = after.getTime() + searchLimit;
+	while (date.getTime() <= limit) {
+		if (!_.includes(schedule.months, date.getMonth() + 1)) {
+			date.setMonth(date.getMonth() + 1, 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!dayMatches(schedule, date)) {
+			date.setDate(date.getDate() + 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!_.includes(schedule.hours, date.getHours())) {
+			date.setHours(date.getHours() + 1, 0, 0, 0);
+		} else if (!_.includes(schedule.minutes, date.getMinutes())) {
+			date.setMinutes(date.getMinutes() + 1, 0, 0);
+		} else {
+			return date;
+		}
+	}
+	return null;
+}
+
+/**
+ * Determine whether or not a date's day matches a cron expression
+ * @param {Object} schedule - The parsed expression (see parseCron())
+ * @param {Date} date - The date
+ * @return {boolean} True if the day matches
+ */
+function dayMatches(schedule, date) {
+	const dayOfMonth = _.includes(schedule.daysOfMonth, date.getDate());
+	const dayOfWeek = _.includes(schedule.daysOfWeek, date.getDay());
+	if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+		return dayOfMonth || dayOfWeek;
+	}
+	return dayOfMonth && dayOfWeek;
+}
+
+module.exports = {
+	parseCron: parseCron,
+	nextTime: nextTime,
+};
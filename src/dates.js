@@ -0,0 +1,235 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * Month names (and abbreviations) that the Play Store uses in its localized review dates
+ * Each array is ordered January to December
+ */
+const monthNames = {
+	en: [
+		['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'],
+		['may'], ['june', 'jun'], ['july', 'jul'], ['august', 'aug'],
+		['september', 'sep', 'sept'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec'],
+	],
+	fr: [
+		['janvier', 'janv'], ['février', 'févr', 'fevrier'], ['mars'], ['avril', 'avr'],
+		['mai'], ['juin'], ['juillet', 'juil'], ['août', 'aout'],
+		['septembre'], ['octobre'], ['novembre'], ['décembre', 'déc', 'decembre'],
+	],
+	de: [
+		['januar'], ['februar'], ['märz', 'maerz'], ['april'],
+		['mai'], ['juni'], ['juli'], ['august'],
+		['september'], ['oktober', 'okt'], ['november'], ['dezember', 'dez'],
+	],
+	es: [
+		['enero', 'ene'], ['febrero'], ['marzo'], ['abril', 'abr'],
+		['mayo'], ['junio'], ['julio'], ['agosto', 'ago'],
+		['septiembre', 'setiembre'], ['octubre'], ['noviembre'], ['diciembre', 'dic'],
+	],
+	pt: [
+		['janeiro'], ['fevereiro', 'fev'], ['março', 'marco'], ['abril'],
+		['maio'], ['junho'], ['julho'], ['agosto'],
+		['setembro', 'set'], ['outubro', 'out'], ['novembro'], ['dezembro'],
+	],
+	it: [
+		['gennaio', 'gen'], ['febbraio'], ['marzo'], ['aprile'],
+		['maggio', 'mag'], ['giugno', 'giu'], ['luglio', 'lug'], ['agosto'],
+		['settembre'], ['ottobre', 'ott'], ['novembre'], ['dicembre'],
+	],
+	nl: [
+		['januari'], ['februari'], ['maart', 'mrt'], ['april'],
+		['mei'], ['juni'], ['juli'], ['augustus'],
+		['september'], ['oktober'], ['november'], ['december'],
+	],
+	ru: [
+		['января', 'январь', 'янв'],
+		['февраля', 'февраль', 'февр', 'фев'],
+		['марта', 'март', 'мар'],
+		['апреля', 'апрель', 'апр'],
+		['мая', 'май'],
+		['июня', 'июнь', 'июн'],
+		['июля', 'июль', 'июл'],
+		['августа', 'август', 'авг'],
+		['сентября', 'сентябрь', 'сент', 'сен'],
+		['октября', 'октябрь', 'окт'],
+		['ноября', 'ноябрь', 'нояб', 'ноя'],
+		['декабря', 'декабрь', 'дек'],
+	],
+	pl: [
+		['stycznia', 'styczeń', 'sty'],
+		['lutego', 'luty', 'lut'],
+		['marca', 'marzec'],
+		['kwietnia', 'kwiecień', 'kwi'],
+		['maja', 'maj'],
+		['czerwca', 'czerwiec', 'cze'],
+		['lipca', 'lipiec', 'lip'],
+		['sierpnia', 'sierpień', 'sie'],
+		['września', 'wrzesień', 'wrz'],
+		['października', 'październik', 'paź'],
+		['listopada', 'listopad', 'lis'],
+		['grudnia', 'grudzień', 'gru'],
+	],
+	tr: [
+		['ocak', 'oca'], ['şubat', 'şub'], ['mart'], ['nisan', 'nis'],
+		['mayıs', 'may'], ['haziran', 'haz'], ['temmuz', 'tem'], ['ağustos', 'ağu'],
+		['eylül', 'eyl'], ['ekim', 'eki'], ['kasım', 'kas'], ['aralık', 'ara'],
+	],
+	id: [
+		['januari'], ['februari'], ['maret'], ['april'],
+		['mei'], ['juni'], ['juli'], ['agustus', 'agu'],
+		['september'], ['oktober'], ['november'], ['desember', 'des'],
+	],
+};
+
+// Map every month name to the index of its month (0-11)
+const monthsByName = {};
+_.forEach(monthNames, (months) => {
+	_.forEach(months, (names, index) => {
+		_.forEach(names, (name) => {
+			monthsByName[name] = index;
+		});
+	});
+});
+
+// Markers used by Chinese, Japanese and Korean dates (e.g. "2016年5月25日" or "2016년 5월 25일")
+const cjkRegex = /([0-9]{4})\s*[年년]\s*([0-9]{1,2})\s*[月월]\s*([0-9]{1,2})\s*[日일]?/;
+// Dates made up of only numbers (e.g. "25/05/2016", "25.05.16" or "2016-05-25")
+const numericRegex = /^([0-9]{1,4})\s*[./-]\s*([0-9]{1,2})\s*[./-]\s*([0-9]{1,4})\.?$/;
+// Durations (e.g. "7d" or "12h") and how many milliseconds are in each of their units
+const durationRegex = /^([0-9]+)\s*(ms|s|m|h|d|w)$/;
+const durationUnits = {
+	ms: 1,
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a review date as displayed by the Play Store in any of its supported languages
+ * @param {string} dateStr - The date string (e.g. "May 25, 2016", "25 mai 2016" or "2016年5月25日")
+ * @param {Object} [locale] - The 'language' and 'country' the page was requested with
+ * @return {Date|null} The date (at midnight local time), or null if it could not be parsed
+ */
+function parseDate(dateStr, locale) {
+	if (typeof dateStr !== 'string') {
+		return null;
+	}
+	const str = dateStr.trim().toLowerCase();
+	let match = cjkRegex.exec(str);
+	if (match) {
+		return toDate(match[1], Number(match[2]) - 1, match[3]);
+	}
+	match = numericRegex.exec(str);
+	if (match) {
+		return parseNumericDate(match.slice(1, 4), locale);
+	}
+	return parseWordDate(str);
+}
+
+/**
+ * Parse a date that spells out the month (e.g. "May 25, 2016" or "25 de mayo de 2016")
+ * @param {string} str - The lowercase date string
+ * @return {Date|null} The date, or null if it could not be parsed
+ */
+function parseWordDate(str) {
+	// Split the string into words (letters in any alphabet) and numbers
+	const tokens = str.match(/[0-9]+|[^\s0-9.,/-]+/g) || [];
+	let month;
+	const numbers = [];
+	_.forEach(tokens, (token) => {
+		if (/^[0-9]+$/.test(token)) {
+			numbers.push(token);
+		} else if (typeof month === 'undefined' && _.has(monthsByName, token)) {
+			month = monthsByName[token];
+		}
+	});
+	if (typeof month === 'undefined' || numbers.length !== 2) {
+		return null;
+	}
+	// The year is whichever number has four digits
+	const yearIndex = _.findIndex(numbers, (num) => num.length === 4);
+	if (yearIndex === -1) {
+		return null;
+	}
+	return toDate(numbers[yearIndex], month, numbers[1 - yearIndex]);
+}
+
+/**
+ * Parse a date made up of only numbers, using the locale to decide between day/month orders
+ * @param {string[]} parts - The three numbers that make up the date
+ * @param {Object} [locale] - The 'language' and 'country' the page was requested with
+ * @return {Date|null} The date, or null if it could not be parsed
+ */
+function parseNumericDate(parts, locale) {
+	if (parts[0].length === 4) {
+		// Year first (e.g. "2016-05-25")
+		return toDate(parts[0], Number(parts[1]) - 1, parts[2]);
+	}
+	const language = (_.get(locale, 'language') || 'en').toLowerCase().split(/[-_]/)[0];
+	const country = (_.get(locale, 'country') || 'US').toUpperCase();
+	let year = Number(parts[2]);
+	if (parts[2].length === 2) {
+		year += 2000;
+	}
+	if (language === 'en' && country === 'US') {
+		// Month first (e.g. "5/25/16")
+		return toDate(year, Number(parts[0]) - 1, parts[1]);
+	}
+	// Day first (e.g. "25.05.2016")
+	return toDate(year, Number(parts[1]) - 1, parts[0]);
+}
+
+/**
+ * Create a Date, making sure that none of the parts overflowed into another month or year
+ * @param {number|string} year - The full year
+ * @param {number} month - The month (0-11)
+ * @param {number|string} day - The day of the month
+ * @return {Date|null} The date, or null if the parts don't make a real date
+ */
+function toDate(year, month, day) {
+	const date = new Date(Number(year), month, Number(day));
+	if (
+		date.getFullYear() !== Number(year) ||
+		date.getMonth() !== month ||
+		date.getDate() !== Number(day)
+	) {
+		return null;
+	}
+	return date;
+}
+
+/**
+ * Parse a duration (e.g. "7d", "12h", "30m" or "2w")
+ * @param {string} str - The duration
+ * @return {number|null} The # of milliseconds, or null if it could not be parsed
+ */
+function parseDuration(str) {
+	const match = (typeof str === 'string') ? durationRegex.exec(str.trim()) : null;
+	return match ? Number(match[1]) * durationUnits[match[2]] : null;
+}
+
+/**
+ * Turn a Date or a duration into a Date (a duration counts back from now, so "7d" is a week ago)
+ * @param {Date|string} value - The Date or duration
+ * @param {number} [now] - The current time in milliseconds (for testing)
+ * @return {Date|null} The date, or null if the value isn't a valid Date or duration
+ */
+function resolveDate(value, now) {
+	if (_.isDate(value)) {
+		return isNaN(value.getTime()) ? null : value;
+	}
+	const duration = parseDuration(value);
+	if (duration === null) {
+		return null;
+	}
+	return new Date((typeof now === 'number' ? now : Date.now()) - duration);
+}
+
+module.exports = {
+	parseDate: parseDate,
+	parseDuration: parseDuration,
+	resolveDate: resolveDate,
+};
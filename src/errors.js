@@ -0,0 +1,68 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * Babel can't subclass built-in classes like Error (instanceof checks fail on the result),
+ * so our error types are defined with plain constructor functions instead
+ */
+
+/**
+ * Define a new error type
+ * @param {string} name - The name of the error type
+ * @param {Function} Parent - The error type to inherit from
+ * @return {Function} The error type's constructor
+ */
+function defineError(name, Parent) {
+	/**
+	 * Initialize a new error
+	 * @param {string} message - A description of the error
+	 * @param {Object} [details] - Properties to add to the error (e.g. 'appId', 'pageNum' and 'attempt')
+	 */
+	function CustomError(message, details) {
+		this.name = name;
+		this.message = message;
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, CustomError);
+		} else {
+			this.stack = (new Error(message)).stack;
+		}
+		_.assign(this, details);
+	}
+	CustomError.prototype = Object.create(Parent.prototype, {
+		constructor: {
+			value: CustomError,
+			writable: true,
+			configurable: true,
+		},
+	});
+	return CustomError;
+}
+
+// The base type for all of the Collector's errors
+const CollectorError = defineError('CollectorError', Error);
+// The Collector was given options it can't use
+const OptionsError = defineError('OptionsError', CollectorError);
+// A request could not be completed, or came back with an error status code
+const RequestError = defineError('RequestError', CollectorError);
+// The Play Store doesn't have the app (e.g. its ID has a typo, or it has been removed)
+const NotFoundError = defineError('NotFoundError', RequestError);
+// A response was not in the format we expected
+const InvalidResponseError = defineError('InvalidResponseError', CollectorError);
+// Part of a page (or the whole page) could not be parsed
+const ParseError = defineError('ParseError', CollectorError);
+// A page failed too many times, so we gave up on its app
+const RetryLimitError = defineError('RetryLimitError', CollectorError);
+// The sink couldn't save a page of reviews
+const SinkError = defineError('SinkError', CollectorError);
+
+module.exports = {
+	CollectorError: CollectorError,
+	OptionsError: OptionsError,
+	RequestError: RequestError,
+	NotFoundError: NotFoundError,
+	InvalidResponseError: InvalidResponseError,
+	ParseError: ParseError,
+	RetryLimitError: RetryLimitError,
+	SinkError: SinkError,
+};
@@ -4,241 +4,1238 @@ const Crawler = require('node-webcrawler');
 const cheerio = require('cheerio');
 const _ = require('lodash');
 const EventEmitter = require('events').EventEmitter;
+const createReviewIterator = require('./review-iterator');
+const createReviewStream = require('./review-stream');
+const dates = require('./dates');
+const parseDate = dates.parseDate;
+const checkpoints = require('./checkpoints');
+const revisions = require('./revisions');
+const retry = require('./retry');
+const logging = require('./logger');
+const errors = require('./errors');
+const RateLimiter = require('./rate-limiter');
+const cassettes = require('./cassette');
+const batchexecute = require('./batchexecute');
+const pools = require('./pool');
+const stats = require('./stats');
+const scheduler = require('./scheduler');
+const sinks = require('./sinks');
 const firstPage = 0;
+const defaultMaxPages = 5;
+// Android's package naming rules: two or more dot-separated parts that each start with a letter
+const appIdPattern = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/;
+// Statuses that mean the Play Store doesn't have an app
+const notFoundStatuses = [404, 410];
+// The values the Play Store expects for the 'reviewSortOrder' parameter
+const sortOrders = {
+	newest: 0,
+	rating: 1,
+	helpfulness: 2,
+};
+// The values the Play Store expects for the 'reviewType' parameter
+const reviewTypes = {
+	latestVersion: 0,
+	all: 1,
+};
+// The endpoints we can collect reviews from
+const transports = ['legacy', 'batchexecute'];
+// The options that can be set for a single app (see Collector's constructor)
+const appOptions = [
+	'maxPages',
+	'checkBeforeContinue',
+	'sortOrder',
+	'reviewType',
+	'ratings',
+	'since',
+	'until',
+	'language',
+	'country',
+	'appInfo',
+	'transport',
+];
+// Write log messages to the console unless we're given a logger
+const consoleLogger = {
+	debug: (message) => console.log(message),
+	info: (message) => console.log(message),
+	warn: (message) => console.error(message),
+	error: (message) => console.error(message),
+};
 
 
 class Collector {
 
 	/**
 	 * Initialize a new instance of Collector
-	 * @param {string} appId - The app ID to collect reviews for
+	 * @param {string|Array} apps - The app ID(s) to collect reviews for, where apps in an array can be
+	 * objects with an 'appId', a 'priority' and their own options (see 'appOptions')
 	 * @param {Object} options - Configuration options for the review collection
 	 */
 	constructor(apps, options) {
-		if (options && options.maxPages && options.checkBeforeContinue) {
-			console.error('Warning: The \'maxPages\' option will be ignored when \'checkBeforeContinue\' is present');
-		}
 		const defaults = {
-			maxPages: 5,
+			maxPages: defaultMaxPages,
 			userAgent: 'Mozilla/5.0 (Windows NT 6.1; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/40.0.2214.85 Safari/537.36',
 			delay: 5000,
 			maxRetries: 3,
+			sortOrder: 'newest',
+			reviewType: 'all',
+			ratings: [1, 2, 3, 4, 5],
+			logLevel: 'info',
+			concurrency: 1,
+			baseUrl: 'https://play.google.com',
+			transport: 'legacy',
+			expandReviews: false,
 		};
+		if (options && options.checkBeforeContinue && typeof options.maxPages === 'undefined') {
+			// We are being told when to stop, so don't stop early unless we're asked to
+			defaults.maxPages = 0;
+		}
 		this.options = _.assign(defaults, options);
+		validateOptions(this.options);
+		// Apps that set their own 'checkBeforeContinue' get the matching default 'maxPages'
+		this.maxPagesGiven = Boolean(options) && typeof options.maxPages !== 'undefined';
+		this.logger = logging.createLogger(this.options.logger || consoleLogger, this.options.logLevel);
+		// Warnings are emitted when collection starts, once our listeners have been attached
+		this.warnings = _.compact([sinceWarning(this.options)]);
+		// Use the retry policy we were given, or build the default one from our settings
+		if (_.isFunction(this.options.retryPolicy)) {
+			this.retryPolicy = this.options.retryPolicy;
+		} else {
+			this.retryPolicy = retry.createRetryPolicy(_.assign({
+				maxRetries: this.options.maxRetries,
+				baseDelay: this.options.delay,
+				maxDelay: 60000,
+				factor: 2,
+				jitter: 0.5,
+			}, this.options.retryPolicy));
+		}
+		// Rotate through the proxies and/or user agents we were given (if any)
+		const rotation = _.assign({
+			strategy: 'roundRobin',
+			maxFailures: 3,
+			cooldown: 60000,
+		}, this.options.rotation);
+		this.proxies = this.options.proxies ?
+			new pools.Pool(this.options.proxies, rotation) :
+			undefined;
+		this.userAgents = this.options.userAgents ?
+			new pools.Pool(this.options.userAgents, rotation) :
+			undefined;
 		this.apps = {};
 		if (_.isArray(apps)) {
-			_.forEach(apps, (appId) => {
-				if (typeof appId !== 'string') {
-					throw new Error('App IDs must be strings');
+			_.forEach(apps, (app) => {
+				const entry = toAppEntry(app, this.options, this.maxPagesGiven);
+				this.apps[entry.appId] = entry;
+				if (_.has(entry.overrides, 'since') || _.has(entry.overrides, 'sortOrder')) {
+					this.warnings.push(sinceWarning(entry.options, entry.appId));
 				}
-				this.apps[appId] = {
-					appId: appId,
-					retries: 0,
-					pageNum: firstPage,
-				};
 			});
 		} else if (_.isString(apps)) {
 			// 'apps' is a single app ID string
-			this.apps[apps] = {
-				appId: apps,
-				retries: 0,
-				pageNum: firstPage,
-			};
+			this.apps[apps] = toAppEntry(apps, this.options, this.maxPagesGiven);
 		} else {
-			throw new Error('You must provide either a string or an array for the \'apps\' argument');
+			throw new errors.OptionsError(
+				'You must provide either a string or an array for the \'apps\' argument'
+			);
 		}
+		this.warnings = _.compact(this.warnings);
+		_.forEach(this.warnings, (warning) => {
+			this.logger.warn(`Warning: ${warning.message}`, { error: warning });
+		});
 		this.emitter = new EventEmitter();
+		this.stats = new stats.Stats();
+		// Functions returning promises that must settle before the next page or app is queued
+		this.holds = [];
 	}
 
 	/**
 	 * Collect reviews for the Collector's app using the options provided in the constructor
+	 * @return {Promise} Resolves with a summary of each app (keyed by app ID) once all apps are done
 	 */
 	collect() {
 		// Preserve our reference to 'this'
 		const self = this;
-		// Get a list of app IDs
-		const appIds = _.keys(self.apps);
-		// Keep track of what we're processing
-		let currentApp;
-		let currentPage;
-		let nextStepDecided;	// Whether or not 'continue()' or 'stop()' has been called
+		// If we are already collecting, hand back the run in progress
+		if (self.run) {
+			return self.run.promise;
+		}
+		// Get a list of app IDs, with the most urgent apps first
+		const appIds = _.sortBy(_.keys(self.apps), (appId) => -priorityOf(appId));
+		// Keep track of the apps we're processing, keyed by app ID
+		const active = {};
+		// Keep a summary of each app for the promise we return
+		const summary = {};
+		let resolveRun;
+		// Keep track of the run so that it can be paused, resumed, cancelled and saved
+		const run = {
+			promise: new Promise((resolve) => {
+				resolveRun = resolve;
+			}),
+			paused: false,
+			cancelled: false,
+			timers: [],	// Timers for retries that are waiting to be queued
+			pending: [],	// Requests that were due while we were paused
+			progress: () => ({
+				appIds: appIds.slice(),
+				active: _.keys(active),
+			}),
+			enqueue: enqueueApp,
+			dequeue: (appId) => _.pull(appIds, appId),
+			resume: resumeRun,
+			cancel: cancelRun,
+		};
+		self.run = run;
+		// Requests for all of our apps share one rate limit
+		const limiter = new RateLimiter(self.options.rateLimit || {
+			requests: 1,
+			interval: self.options.delay,
+		});
+
+		// Date ranges given as durations count back from when we started
+		const startTime = Date.now();
+
+		// Record or replay our requests if we were given a cassette
+		const cassette = self.options.cassette ?
+			new cassettes.Cassette(self.options.cassette.dir) :
+			undefined;
 
 		// Setup the Crawler instance
 		const c = new Crawler({
-			maxConnections: 1,
+			maxConnections: self.options.concurrency,
 			userAgent: self.options.userAgent,
+			// Our retry policy decides when failed requests are retried (see requeue())
+			retries: 0,
 			followRedirect: true,
 			followAllRedirects: true,
-			callback: function processRequest(error, result) {
-				if (error) {
-					console.error(`Could not complete the request: ${error}`);
-					requeue();
-				} else {
-					parse(result);
-				}
-			},
 		});
 
-		// Queue the first app
-		processNextApp();
+		// Let our listener(s) know about any problems with our options
+		_.forEach(self.warnings, (warning) => emit('warning', _.omitBy({
+			appId: warning.appId,
+			error: warning,
+		}, _.isUndefined)));
+
+		// Queue the first app(s)
+		processNextApps();
+
+		return run.promise;
 
 		/**
-		 * Collect reviews for the next app in the list (if one exists)
+		 * Start collecting reviews for the next app(s) in the list until we reach our concurrency limit
 		 */
-		function processNextApp() {
-			if (appIds.length > 0) {
-				currentApp = appIds.shift();
-				currentPage = firstPage;
-				queuePage();
-			} else {
+		function processNextApps() {
+			if (run.cancelled || run.done) {
+				return;
+			}
+			while (appIds.length > 0 && _.size(active) < self.options.concurrency) {
+				startApp(appIds.shift());
+			}
+			if (_.size(active) === 0) {
+				// Apps can finish at the same time, so make sure that we only finish once
+				run.done = true;
+				self.run = undefined;
 				emit('done with apps');
+				resolveRun(summary);
 			}
 		}
 
 		/**
-		 * Add a page to the Crawler queue to be parsed
-		 * @param {number} pageNum - The page number to be collected (0-indexed)
+		 * Add an app to the queue (see Collector#addApp()), behind any apps with the same priority
+		 * @param {string} appId - The ID of the app
 		 */
-		function queuePage() {
-			// Delay the request for the specified # of milliseconds
-			setTimeout(() => {
-				const url = `https://play.google.com/store/getreviews?id=${currentApp}&reviewSortOrder=0&reviewType=1&pageNum=${currentPage}`;
-				const postData = {
-					xhr: '1',
-				};
-				// Add the url to the Crawler queue
-				c.queue({
-					uri: url,
-					method: 'POST',
-					headers: {
-						'User-Agent': self.options.userAgent,
-						'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8',
-						'Content-Length': formToString(postData).length,
-					},
-					form: postData,
+		function enqueueApp(appId) {
+			_.pull(appIds, appId);
+			const priority = priorityOf(appId);
+			const index = _.findIndex(appIds, (queued) => priorityOf(queued) < priority);
+			if (index === -1) {
+				appIds.push(appId);
+			} else {
+				appIds.splice(index, 0, appId);
+			}
+			// Start the app straight away if we have room for it
+			afterHolds(undefined, processNextApps);
+		}
+
+		/**
+		 * Get the priority of an app in the queue
+		 * @param {string} appId - The ID of the app
+		 * @return {number} The app's priority (higher is more urgent)
+		 */
+		function priorityOf(appId) {
+			return self.apps[appId].priority || 0;
+		}
+
+		/**
+		 * Collect reviews for an app
+		 * @param {string} appId - The ID of the app
+		 */
+		function startApp(appId) {
+			const app = self.apps[appId];
+			active[appId] = app;
+			summary[appId] = {
+				appId: appId,
+				pagesCollected: 0,
+				reviewsCollected: 0,
+			};
+			app.pageNum = firstPage;
+			app.retries = 0;
+			app.newReviews = 0;
+			app.reachedCheckpoint = false;
+			app.newest = undefined;
+			app.seen = {};
+			app.tracking = undefined;
+			app.token = undefined;
+			app.outcome = undefined;
+			// A stop that came after the app's last run (e.g. from a review that was still buffered) is
+			// meant for that run, not this one
+			app.stopRequested = false;
+			// Get the app's details before its reviews, if we were asked to
+			app.stage = (app.options.appInfo || self.infoOnly) ? 'details' : 'reviews';
+			// Only keep reviews from within the app's date range
+			app.range = {
+				since: app.options.since ? dates.resolveDate(app.options.since, startTime) : undefined,
+				until: app.options.until ? dates.resolveDate(app.options.until, startTime) : undefined,
+			};
+			if (app.resumeFrom) {
+				// Pick up where a previous run (see Collector.fromState()) left off
+				app.pageNum = app.resumeFrom.pageNum;
+				app.retries = app.resumeFrom.retries;
+				app.newReviews = app.resumeFrom.newReviews;
+				app.newest = app.resumeFrom.newest;
+				app.token = app.resumeFrom.token;
+				app.resumeFrom = undefined;
+			}
+			if (self.options.checkpoints) {
+				// Find out where we left off last time before we queue the first page
+				self.options.checkpoints.get(appId).then((checkpoint) => {
+					app.checkpoint = checkpoint;
+					queuePage(app);
+				}, (err) => finishApp(app, err));
+			} else {
+				queuePage(app);
+			}
+		}
+
+		/**
+		 * Add an app's current page to the Crawler queue to be parsed, once our rate limit allows
+		 * @param {Object} app - The app whose page should be queued
+		 * @param {number} [delay] - The # of milliseconds to wait before joining the rate limiter's queue
+		 */
+		function queuePage(app, delay) {
+			if (run.cancelled) {
+				return;
+			}
+			if (delay > 0) {
+				const timer = setTimeout(() => {
+					_.pull(run.timers, timer);
+					queuePage(app);
+				}, delay);
+				run.timers.push(timer);
+				return;
+			}
+			limiter.schedule(() => sendRequest(app));
+		}
+
+		/**
+		 * Send the request for an app's current page (or its details page)
+		 * @param {Object} app - The app whose page should be requested
+		 */
+		function sendRequest(app) {
+			if (run.cancelled) {
+				return;
+			}
+			if (run.paused) {
+				// Hold on to the request until we are resumed
+				run.pending.push(() => queuePage(app));
+				return;
+			}
+			const request = (app.stage === 'reviews') ? reviewsRequest(app) : detailsRequest(app);
+			// Remember the proxy and user agent in case the request fails
+			app.via = rotate(request);
+			send(app, request, (error, result) => processRequest(app, error, result));
+		}
+
+		/**
+		 * Pick the proxy and user agent for a request
+		 * @param {Object} request - The request
+		 * @return {Object} The 'proxy' (if any) and 'userAgent' that were picked
+		 */
+		function rotate(request) {
+			const proxy = self.proxies ? self.proxies.next() : undefined;
+			const userAgent = self.userAgents ? self.userAgents.next() : self.options.userAgent;
+			// The Crawler overwrites the header with the request's 'userAgent', so set both
+			request.headers['User-Agent'] = userAgent;
+			request.userAgent = userAgent;
+			if (proxy) {
+				request.proxy = proxy;
+			}
+			return {
+				proxy: proxy,
+				userAgent: userAgent,
+			};
+		}
+
+		/**
+		 * Build the request for an app's current page of reviews
+		 * @param {Object} app - The app whose page should be requested
+		 * @return {Object} The request
+		 */
+		function reviewsRequest(app) {
+			const sortOrder = sortOrders[app.options.sortOrder];
+			const reviewType = reviewTypes[app.options.reviewType];
+			const locale = localeOf(app.appId);
+			const baseUrl = self.options.baseUrl.replace(/\/+$/, '');
+			if (app.options.transport === 'batchexecute') {
+				return batchexecute.createRequest({
+					baseUrl: baseUrl,
+					appId: app.appId,
+					sortOrder: app.options.sortOrder,
+					token: app.token,
+					language: locale.language,
+					country: locale.country,
+					userAgent: self.options.userAgent,
 				});
-			}, self.options.delay);
+			}
+			let url = `${baseUrl}/store/getreviews?id=${app.appId}&reviewSortOrder=${sortOrder}` +
+				`&reviewType=${reviewType}&pageNum=${app.pageNum}`;
+			if (locale.language) {
+				url += `&hl=${encodeURIComponent(locale.language)}`;
+			}
+			if (locale.country) {
+				url += `&gl=${encodeURIComponent(locale.country)}`;
+			}
+			const postData = {
+				xhr: '1',
+			};
+			return {
+				uri: url,
+				method: 'POST',
+				headers: {
+					'User-Agent': self.options.userAgent,
+					'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8',
+					'Content-Length': formToString(postData).length,
+				},
+				form: postData,
+			};
+		}
+
+		/**
+		 * Build the request for an app's details page
+		 * @param {Object} app - The app whose details should be requested
+		 * @return {Object} The request
+		 */
+		function detailsRequest(app) {
+			const baseUrl = self.options.baseUrl.replace(/\/+$/, '');
+			const locale = localeOf(app.appId);
+			let url = `${baseUrl}/store/apps/details?id=${app.appId}`;
+			if (locale.language) {
+				url += `&hl=${encodeURIComponent(locale.language)}`;
+			}
+			if (locale.country) {
+				url += `&gl=${encodeURIComponent(locale.country)}`;
+			}
+			return {
+				uri: url,
+				method: 'GET',
+				headers: {
+					'User-Agent': self.options.userAgent,
+				},
+			};
+		}
+
+		/**
+		 * Build the request for a review's own page, which has its full text
+		 * @param {Object} app - The app the review belongs to
+		 * @param {Object} review - The review
+		 * @return {Object} The request
+		 */
+		function fullReviewRequest(app, review) {
+			const baseUrl = self.options.baseUrl.replace(/\/+$/, '');
+			const locale = localeOf(app.appId);
+			let url = baseUrl + review.permalink.replace(/^https?:\/\/[^/]+/, '');
+			if (locale.language) {
+				url += `&hl=${encodeURIComponent(locale.language)}`;
+			}
+			if (locale.country) {
+				url += `&gl=${encodeURIComponent(locale.country)}`;
+			}
+			return {
+				uri: url,
+				method: 'GET',
+				headers: {
+					'User-Agent': self.options.userAgent,
+				},
+			};
+		}
+
+		/**
+		 * Add a request to the Crawler queue, or answer it from our cassette when replaying
+		 * @param {Object} app - The app the request is for
+		 * @param {Object} request - The request
+		 * @param {Function} callback - Called with the error (if any) and the response
+		 */
+		function send(app, request, callback) {
+			const mode = cassette ? self.options.cassette.mode : undefined;
+			const sentAt = Date.now();
+			self.stats.request(app.appId);
+			const done = (error, result) => {
+				self.stats.response(app.appId, result ? byteLength(result.body) : 0, Date.now() - sentAt);
+				callback(error, result);
+			};
+			if (mode === 'replay') {
+				cassette.load(request).then((response) => done(null, response), done);
+				return;
+			}
+			c.queue(_.assign({}, request, {
+				callback: (error, result) => {
+					if (mode !== 'record' || error) {
+						done(error, result);
+						return;
+					}
+					cassette.save(request, result).catch((err) => {
+						const message = `Could not record the response to ${request.uri}: ${err.message}`;
+						self.logger.warn(message, { error: err });
+					}).then(() => done(null, result));
+				},
+			}));
+		}
+
+		/**
+		 * Handle the Crawler's response to a request
+		 * @param {Object} app - The app that the page was requested for
+		 * @param {Error} error - The error that stopped the request from completing (if any)
+		 * @param {Object} result - The response
+		 */
+		function processRequest(app, error, result) {
+			if (run.cancelled) {
+				// Nobody wants this response anymore
+				return;
+			}
+			if (error) {
+				requeue(app, {
+					reason: 'network',
+					error: new errors.RequestError(`Could not complete the request: ${error.message}`, {
+						cause: error,
+					}),
+				});
+			} else if (_.includes(notFoundStatuses, result.statusCode)) {
+				const message = `${app.appId} was not found on the Play Store ` +
+					`(status code ${result.statusCode})`;
+				requeue(app, {
+					reason: 'status',
+					error: new errors.NotFoundError(message, {
+						statusCode: result.statusCode,
+					}),
+					response: result,
+				});
+			} else if (result.statusCode >= 400) {
+				requeue(app, {
+					reason: 'status',
+					error: new errors.RequestError(`Request failed with status code ${result.statusCode}`, {
+						statusCode: result.statusCode,
+					}),
+					response: result,
+				});
+			} else if (app.stage === 'verify') {
+				// The app's details page exists, so the app just doesn't have any reviews
+				proxySucceeded(app);
+				app.outcome = 'exhausted';
+				finishApp(app);
+			} else if (app.stage === 'details') {
+				parseDetails(app, result);
+			} else {
+				parse(app, result);
+			}
+		}
+
+		/**
+		 * Parse an app's details page, emit its info and move on to its reviews
+		 * @param {Object} app - The app that the page belongs to
+		 * @param {Object} result - The response
+		 */
+		function parseDetails(app, result) {
+			const appId = app.appId;
+			const converted = htmlToAppInfo(decodeBody(result.body), appId, emit, _.assign({
+				logger: self.logger,
+			}, localeOf(appId)));
+			if (converted.error) {
+				const message = `Could not turn the details page into app info: ${converted.error.message}`;
+				requeue(app, {
+					reason: 'parse',
+					error: new errors.ParseError(message, {
+						cause: converted.error,
+					}),
+				});
+				return;
+			}
+			app.retries = 0;
+			proxySucceeded(app);
+			summary[appId].info = converted.info;
+			emit('app info', _.assign({
+				appId: appId,
+				info: converted.info,
+			}, _.omitBy(localeOf(appId), _.isUndefined)));
+			if (self.infoOnly) {
+				finishApp(app);
+			} else {
+				app.stage = 'reviews';
+				queuePage(app);
+			}
 		}
 
 		/**
 		 * Parse a reviews page and emit review objects
+		 * @param {Object} app - The app that the page belongs to
 		 * @param {string} result - The page HTML
-		 * @param {number} pageNum - The number of the page that is being parsed
 		 */
-		function parse(result) {
-			const html = responseToHtml(result);
-			if (typeof html === 'undefined') {
+		function parse(app, result) {
+			const appId = app.appId;
+			const pageNum = app.pageNum;
+			const options = _.assign({
+				filter: (review) => keepReview(app, review),
+				logger: self.logger,
+			}, localeOf(appId));
+			// Hold on to the page's events until its truncated reviews (if any) have been expanded
+			const events = [];
+			const emitLater = (event, obj) => events.push({ event: event, obj: obj });
+			let converted;
+			if (app.options.transport === 'batchexecute') {
+				converted = batchToReviews(result.body, appId, pageNum, emitLater, options);
+			} else {
+				const html = responseToHtml(result, self.logger);
+				if (typeof html === 'undefined') {
+					converted = { invalid: true };
+				} else if (html === null) {
+					converted = { done: true };
+				} else {
+					converted = htmlToReviews(html, appId, pageNum, emitLater, options);
+				}
+			}
+			if (converted.invalid) {
 				// We got an invalid response
-				requeue();
-			} else if (html === null) {
+				requeue(app, {
+					reason: 'invalidResponse',
+					error: new errors.InvalidResponseError('The response was not in the format we expected'),
+					response: result,
+				});
+			} else if (converted.done && pageNum === firstPage && !summary[appId].info) {
+				// An app without any reviews looks just like one that doesn't exist, so find out which it is
+				self.logger.info(`No reviews for ${appId}, so checking that it exists`);
+				app.stage = 'verify';
+				queuePage(app);
+			} else if (converted.done) {
 				// There were no more reviews
-				emit('done collecting', {
-					appId: currentApp,
-					pageNum: currentPage,
+				app.outcome = 'exhausted';
+				finishApp(app);
+			} else if (converted.error) {
+				const message = `Could not turn response into reviews: ${converted.error.message}`;
+				requeue(app, {
+					reason: 'parse',
+					error: new errors.ParseError(message, {
+						cause: converted.error,
+					}),
 				});
-			} else if (typeof html === 'string') {
-				// We got a valid response, proceed
-				const converted = htmlToReviews(html, currentApp, currentPage, emit);
-				if (converted.error) {
-					console.error(`Could not turn response into reviews: ${converted.error}`);
-					requeue();
-				} else {
-					const numReviewsFound = converted.reviews.length;
-					// Reset retries
-					self.apps[currentApp].retries = 0;
-					// Let our listener(s) know we finished a page
-					const objToEmit = {
-						appId: currentApp,
-						pageNum: currentPage,
-						reviews: converted.reviews,
-					};
-					// Set the firstReviewTime and lastReviewTime
-					if (numReviewsFound > 0) {
-						objToEmit.firstReviewTime = converted.reviews[numReviewsFound - 1].date;
-						objToEmit.lastReviewTime = converted.reviews[0].date;
+			} else {
+				expandReviews(app, converted.reviews, () => {
+					writeToSink(app, converted.reviews, () => {
+						_.forEach(events, (item) => emit(item.event, item.obj));
+						pageParsed(app, converted);
+					});
+				});
+			}
+		}
+
+		/**
+		 * Get the full text of an app's truncated reviews (that weren't expanded on the page already)
+		 * @param {Object} app - The app the reviews belong to
+		 * @param {Object[]} reviews - The reviews that will be emitted
+		 * @param {Function} next - Called once every truncated review has been expanded (or given up on)
+		 */
+		function expandReviews(app, reviews, next) {
+			const truncated = self.options.expandReviews ?
+				_.filter(reviews, (review) => review.truncated && review.permalink) :
+				[];
+			if (truncated.length === 0) {
+				next();
+				return;
+			}
+			Promise.all(_.map(truncated, (review) => fetchFullText(app, review))).then(() => {
+				if (!run.cancelled) {
+					next();
+				}
+			});
+		}
+
+		/**
+		 * Request a truncated review's own page (sharing our rate limit) and take its full text from it
+		 * The review keeps its 'truncated' flag if we couldn't get its full text
+		 * @param {Object} app - The app the review belongs to
+		 * @param {Object} review - The review
+		 * @return {Promise} Resolves once we're done with the review
+		 */
+		function fetchFullText(app, review) {
+			return new Promise((resolve) => {
+				const request = () => {
+					if (run.cancelled) {
+						return;
 					}
-					// Reset nextStepDecided
-					nextStepDecided = false;
-					if (self.options.checkBeforeContinue) {
-						// stop() should always call stopProcessingApp()
-						objToEmit.stop = stopProcessingApp;
-						// If we had reviews, user can continue, if not, calling continue should move to next app
-						if (numReviewsFound > 0) {
-							objToEmit.continue = continueProcessingApp;
-						} else {
-							objToEmit.continue = stopProcessingApp;
-						}
+					if (run.paused) {
+						run.pending.push(() => limiter.schedule(request));
+						return;
 					}
-					// Emit the object
-					emit('page complete', objToEmit);
-					// If we don't have to wait for the user to tell us to continue, we can do it ourselves
-					if (!self.options.checkBeforeContinue) {
-						if (numReviewsFound > 0 &&
-							(
-								self.options.maxPages === 0 ||
-								currentPage + 1 < self.options.maxPages + firstPage
-							)
-						) {
-							continueProcessingApp();
+					const fullRequest = fullReviewRequest(app, review);
+					rotate(fullRequest);
+					send(app, fullRequest, (error, result) => {
+						const text = (error || result.statusCode >= 400) ?
+							null :
+							htmlToFullText(decodeBody(result.body), review.id);
+						if (text === null) {
+							self.logger.debug(
+								`Could not get the full text of review ${review.id} of ${app.appId}`
+							);
 						} else {
-							stopProcessingApp();
+							review.text = text;
+							delete review.truncated;
 						}
+						resolve();
+					});
+				};
+				limiter.schedule(request);
+			});
+		}
+
+		/**
+		 * Hand a page's reviews to our sink (if we have one), waiting for it to save them before going on
+		 * If the sink fails, we give up on the app so that its checkpoint doesn't move past the page
+		 * @param {Object} app - The app that the page belongs to
+		 * @param {Object[]} reviews - The reviews that will be emitted
+		 * @param {Function} next - Called once the sink has saved the reviews
+		 */
+		function writeToSink(app, reviews, next) {
+			const sink = self.options.sink;
+			if (!sink || reviews.length === 0) {
+				next();
+				return;
+			}
+			const appId = app.appId;
+			const pageNum = app.pageNum;
+			Promise.resolve()
+				.then(() => sink.write(appId, pageNum, reviews))
+				.then(() => {
+					if (!run.cancelled) {
+						next();
+					}
+				}, (err) => {
+					if (run.cancelled) {
+						return;
 					}
+					const error = new errors.SinkError(`Could not save page ${pageNum}: ${err.message}`, {
+						appId: appId,
+						pageNum: pageNum,
+						cause: err,
+					});
+					self.logger.error(
+						`Giving up on ${appId} at page ${pageNum}: ${error.message}`,
+						{ error: error }
+					);
+					emit('error', {
+						appId: appId,
+						pageNum: pageNum,
+						error: error,
+					});
+					finishApp(app, error);
+				});
+		}
+
+		/**
+		 * Move on from a page of reviews that was parsed successfully
+		 * @param {Object} app - The app that the page belongs to
+		 * @param {Object} converted - The page's 'reviews', every review that was 'parsed' and the
+		 * continuation 'token' of the next page (batchexecute only)
+		 */
+		function pageParsed(app, converted) {
+			const appId = app.appId;
+			const pageNum = app.pageNum;
+			// Paging depends on every review on the page, not just the ones that passed our filters
+			const numReviewsFound = converted.parsed.length;
+			// The batchexecute endpoint tells us when there isn't another page
+			const hasMore = numReviewsFound > 0 && converted.token !== null;
+			// Reset retries
+			app.retries = 0;
+			proxySucceeded(app);
+			// Remember where the next page starts (batchexecute only)
+			app.token = converted.token;
+			// Find out if any of the reviews have been edited since we last saw them
+			trackRevisions(app, pageNum, converted.parsed);
+			// The first review on the first page will be our next checkpoint
+			if (pageNum === firstPage && numReviewsFound > 0) {
+				app.newest = {
+					reviewId: converted.parsed[0].id,
+					date: converted.parsed[0].date,
+				};
+			}
+			// Keep our summary and stats up to date
+			summary[appId].pagesCollected++;
+			summary[appId].reviewsCollected += converted.reviews.length;
+			self.stats.page(appId, converted.reviews.length);
+			// Let our listener(s) know we finished a page
+			const objToEmit = withCriteria({
+				appId: appId,
+				pageNum: pageNum,
+				reviews: converted.reviews,
+			});
+			// Set the firstReviewTime and lastReviewTime
+			if (numReviewsFound > 0) {
+				objToEmit.firstReviewTime = converted.parsed[numReviewsFound - 1].date;
+				objToEmit.lastReviewTime = converted.parsed[0].date;
+			}
+			// When sorted by newest, every review after this page will be older than 'since'
+			const passedSince = Boolean(
+				app.range.since &&
+				app.options.sortOrder === 'newest' &&
+				objToEmit.firstReviewTime &&
+				objToEmit.firstReviewTime < app.range.since
+			);
+			// Whether or not there's anything left that we want to collect
+			const canContinue = hasMore &&
+				!app.reachedCheckpoint &&
+				!passedSince &&
+				(
+					app.options.maxPages === 0 ||
+					pageNum + 1 < app.options.maxPages + firstPage
+				);
+			// Why we would stop after this page (if we can't continue)
+			const outcome = (hasMore && !app.reachedCheckpoint && !passedSince) ?
+				'maxPages' :
+				'exhausted';
+			// Reset nextStepDecided (whether or not 'continue()' or 'stop()' has been called)
+			app.nextStepDecided = false;
+			if (app.options.checkBeforeContinue) {
+				// stop() should always call stopProcessingApp()
+				objToEmit.stop = () => stopProcessingApp(app, 'stopped');
+				// If there could be more reviews, user can continue, if not, calling continue should move to next app
+				if (canContinue) {
+					objToEmit.continue = () => continueProcessingApp(app);
+				} else {
+					objToEmit.continue = () => stopProcessingApp(app, outcome);
+				}
+			}
+			// Emit the object
+			emit('page complete', objToEmit);
+			// If we don't have to wait for the user to tell us to continue, we can do it ourselves
+			if (!app.options.checkBeforeContinue) {
+				if (canContinue) {
+					continueProcessingApp(app);
+				} else {
+					stopProcessingApp(app, outcome);
 				}
 			}
 		}
 
 		/**
-		 * Requeue a page if we aren't over the retries limit
-		 * @param {number} pageNum - The number of the page to requeue
+		 * Requeue an app's current page if our retry policy says we should
+		 * @param {Object} app - The app whose page failed
+		 * @param {Object} details - The 'reason' the page failed, and the 'error' and/or 'response'
 		 */
-		function requeue() {
-			self.apps[currentApp].retries++;
-			if (self.apps[currentApp].retries < self.options.maxRetries) {
-				queuePage();
+		function requeue(app, details) {
+			app.retries++;
+			const via = viaOf(app);
+			const failure = _.assign({
+				appId: app.appId,
+				pageNum: app.pageNum,
+			}, via, retry.describeFailure(details, app.retries));
+			if (failure.statusCode === 403 && via.proxy) {
+				// The proxy may have been blocked, so another one could still get through
+				failure.permanent = false;
+			}
+			// Let the error know where it came from
+			_.assign(failure.error, {
+				appId: failure.appId,
+				pageNum: failure.pageNum,
+				attempt: failure.attempt,
+			}, via);
+			if (details.reason !== 'parse') {
+				// The proxy may be what's wrong, rather than the Play Store
+				proxyFailed(app);
+			}
+			self.stats.error(app.appId, failure.error);
+			const delay = self.retryPolicy(failure);
+			const report = _.assign({
+				appId: failure.appId,
+				pageNum: failure.pageNum,
+				attempt: failure.attempt,
+				reason: failure.reason,
+				error: failure.error,
+			}, via);
+			if (typeof delay === 'number' && delay >= 0) {
+				report.delay = delay;
+				self.stats.retry(app.appId, failure.reason);
+				self.logger.warn(
+					`Retrying page ${failure.pageNum} of ${failure.appId} in ${delay}ms ` +
+					`(attempt ${failure.attempt}): ${failure.error.message}`,
+					report
+				);
+				emit('retry', report);
+				queuePage(app, delay);
 			} else {
-				emit('done collecting', {
-					appId: currentApp,
-					pageNum: currentPage,
-					appsRemaining: appIds.length,
-					error: new Error('Retry limit reached'),
-				});
-				// Move on to the next app
-				processNextApp();
+				self.logger.error(
+					`Giving up on ${failure.appId} at page ${failure.pageNum} ` +
+					`(attempt ${failure.attempt}): ${failure.error.message}`,
+					report
+				);
+				emit('error', report);
+				if (failure.permanent) {
+					// Retrying would never help, so don't bother
+					finishApp(app, failure.error);
+				} else {
+					finishApp(app, new errors.RetryLimitError('Retry limit reached', {
+						appId: failure.appId,
+						pageNum: failure.pageNum,
+						attempt: failure.attempt,
+						cause: failure.error,
+					}));
+				}
 			}
 		}
 
 		/**
-		 * Process the next page of the current app
+		 * Describe the proxy (without its password) and user agent of an app's last request
+		 * @param {Object} app - The app
+		 * @return {Object} The 'proxy' (if one was used) and 'userAgent'
 		 */
-		function continueProcessingApp() {
+		function viaOf(app) {
+			const via = app.via || {};
+			return _.omitBy({
+				proxy: via.proxy ? via.proxy.replace(/\/\/([^:@/]+):[^@/]*@/, '//$1:***@') : undefined,
+				userAgent: via.userAgent,
+			}, _.isUndefined);
+		}
+
+		/**
+		 * Clear the failures of the proxy (if any) that an app's last request was sent through
+		 * @param {Object} app - The app whose request succeeded
+		 */
+		function proxySucceeded(app) {
+			if (app.via && app.via.proxy) {
+				self.proxies.markSuccess(app.via.proxy);
+			}
+		}
+
+		/**
+		 * Count a failed request against the proxy it was sent through, reporting it if it's now unhealthy
+		 * @param {Object} app - The app whose request failed
+		 */
+		function proxyFailed(app) {
+			if (!app.via || !app.via.proxy || !self.proxies.markFailure(app.via.proxy)) {
+				return;
+			}
+			const proxy = viaOf(app).proxy;
+			const message = `Proxy ${proxy} keeps failing, ` +
+				`so it won't be used for ${self.proxies.cooldown}ms`;
+			const error = new errors.CollectorError(message, {
+				proxy: proxy,
+			});
+			self.logger.warn(`Warning: ${error.message}`, { error: error });
+			emit('warning', {
+				appId: app.appId,
+				pageNum: app.pageNum,
+				proxy: proxy,
+				error: error,
+			});
+		}
+
+		/**
+		 * Process the next page of an app
+		 * @param {Object} app - The app to continue
+		 */
+		function continueProcessingApp(app) {
 			// Make sure that the user doesn't call both stop() and continue() for the same page
-			if (!nextStepDecided) {
+			if (!app.nextStepDecided) {
 				// Set nextStepDecided to true
-				nextStepDecided = true;
-				// Increment currentPage and queue it
-				currentPage++;
-				queuePage();
+				app.nextStepDecided = true;
+				// Wait until anything holding the crawl (e.g. a review iterator) lets go
+				afterHolds(app, () => {
+					if (app.stopRequested) {
+						// Our consumer asked us to stop while we were waiting
+						app.outcome = 'stopped';
+						finishApp(app);
+					} else {
+						// Increment the app's page and queue it
+						app.pageNum++;
+						queuePage(app);
+					}
+				});
 			}
 		}
 
 		/**
-		 * Stop processing the current app and go on to the next app
+		 * Stop processing an app and go on to the next app
+		 * @param {Object} app - The app to stop
+		 * @param {string} outcome - Why we stopped ('exhausted', 'maxPages' or 'stopped')
 		 */
-		function stopProcessingApp() {
+		function stopProcessingApp(app, outcome) {
 			// Make sure that the user doesn't call both stop() and continue() for the same page
-			if (!nextStepDecided) {
+			if (!app.nextStepDecided) {
 				// Set nextStepDecided to true
-				nextStepDecided = true;
-				// Emit the 'done collecting' event
-				emit('done collecting', {
-					appId: currentApp,
-					pageNum: currentPage,
-					appsRemaining: appIds.length,
+				app.nextStepDecided = true;
+				app.outcome = outcome;
+				finishApp(app);
+			}
+		}
+
+		/**
+		 * Finish collecting an app, saving its checkpoint first if we're collecting incrementally
+		 * @param {Object} app - The app to finish
+		 * @param {Error} [error] - The error that caused us to stop, if any
+		 */
+		function finishApp(app, error) {
+			if (app.tracking) {
+				// Make sure every 'review updated' event is emitted before we are done with the app
+				const tracking = app.tracking;
+				app.tracking = undefined;
+				tracking.then(() => finishApp(app, error));
+				return;
+			}
+			// Only move the checkpoint forward if we got all of the reviews up to it (or every review we
+			// wanted), since stopping early at 'maxPages' or stop() would skip the reviews in between
+			const complete = app.reachedCheckpoint || app.outcome === 'exhausted';
+			if (self.options.checkpoints && !error && complete) {
+				saveCheckpoint(app).then(() => emitDone(app), (err) => emitDone(app, err));
+			} else {
+				emitDone(app, error);
+			}
+		}
+
+		/**
+		 * Save the newest review we saw for an app as its checkpoint
+		 * @param {Object} app - The app whose checkpoint should be saved
+		 * @return {Promise} Resolves once the checkpoint store has saved it
+		 */
+		function saveCheckpoint(app) {
+			if (!app.newest) {
+				// We didn't see any reviews, so keep the checkpoint we had
+				return Promise.resolve();
+			}
+			return self.options.checkpoints.set(app.appId, app.newest).then(() => {
+				app.checkpoint = app.newest;
+			});
+		}
+
+		/**
+		 * Emit the 'done collecting' event for an app and move on to the next one
+		 * @param {Object} app - The app that is done
+		 * @param {Error} [error] - The error that caused us to stop, if any
+		 */
+		function emitDone(app, error) {
+			if (run.cancelled) {
+				return;
+			}
+			const appId = app.appId;
+			delete active[appId];
+			const objToEmit = withCriteria({
+				appId: appId,
+				pageNum: app.pageNum,
+				appsRemaining: appIds.length + _.size(active),
+				outcome: outcomeOf(app, error),
+			});
+			summary[appId].outcome = objToEmit.outcome;
+			if (error) {
+				objToEmit.error = error;
+				summary[appId].error = error;
+				self.stats.error(appId, error);
+			}
+			if (self.options.checkpoints) {
+				objToEmit.newReviews = app.newReviews;
+				objToEmit.checkpoint = app.checkpoint;
+			}
+			summary[appId].pageNum = app.pageNum;
+			app.stopRequested = false;
+			if (app.removed) {
+				// The app was removed while we were collecting it (see Collector#removeApp())
+				delete self.apps[appId];
+			}
+			// Emit the 'done collecting' event
+			emit('done collecting', objToEmit);
+			// Move on to the next app once nothing is holding the crawl
+			afterHolds(undefined, processNextApps);
+		}
+
+		/**
+		 * Describe why we stopped collecting an app
+		 * @param {Object} app - The app that is done
+		 * @param {Error} [error] - The error that caused us to stop, if any
+		 * @return {string} 'exhausted', 'maxPages', 'stopped', 'notFound', 'retryLimit' or 'failed'
+		 */
+		function outcomeOf(app, error) {
+			if (error instanceof errors.NotFoundError) {
+				return 'notFound';
+			}
+			if (error instanceof errors.RetryLimitError) {
+				return 'retryLimit';
+			}
+			if (error) {
+				return 'failed';
+			}
+			// Apps that we only collected the details of are done once we have them
+			return app.outcome || 'exhausted';
+		}
+
+		/**
+		 * Compare the reviews on a page with the last revisions we saw of them (from a previous run),
+		 * emitting 'review updated' for the ones that have changed and saving their latest revisions
+		 * @param {Object} app - The app the page belongs to
+		 * @param {number} pageNum - The page the reviews were on
+		 * @param {Object[]} reviews - Every review that was parsed from the page
+		 */
+		function trackRevisions(app, pageNum, reviews) {
+			const store = self.options.revisions;
+			// Reviews that were already on an earlier page have been tracked already, and cut off text
+			// would look like an edit
+			const fresh = _.uniqBy(_.filter(reviews, (review) => (
+				app.seen[review.id] === pageNum && !review.truncated
+			)), 'id');
+			if (!store || fresh.length === 0) {
+				return;
+			}
+			const current = _.zipObject(_.map(fresh, 'id'), _.map(fresh, revisions.toRevision));
+			app.tracking = Promise.resolve(app.tracking)
+				.then(() => store.get(app.appId, _.keys(current)))
+				.then((previous) => {
+					if (run.cancelled) {
+						return undefined;
+					}
+					_.forEach(fresh, (review) => {
+						const before = previous && previous[review.id];
+						if (before && revisions.hasChanged(before, current[review.id])) {
+							emit('review updated', {
+								appId: app.appId,
+								pageNum: pageNum,
+								reviewId: review.id,
+								previous: revisions.toRevision(before),
+								current: current[review.id],
+								review: review,
+							});
+						}
+					});
+					return store.set(app.appId, current);
+				})
+				.catch((err) => {
+					const message = `Could not track the revisions of page ${pageNum}: ${err.message}`;
+					const error = new errors.CollectorError(message, {
+						appId: app.appId,
+						pageNum: pageNum,
+						cause: err,
+					});
+					self.logger.warn(`Warning: ${error.message} of ${app.appId}`, { error: error });
+					emit('warning', {
+						appId: app.appId,
+						pageNum: pageNum,
+						error: error,
+					});
 				});
-				// Move on to the next app
-				processNextApp();
+		}
+
+		/**
+		 * Determine whether or not a parsed review should be emitted
+		 * @param {Object} app - The app the review belongs to
+		 * @param {Object} review - The review object
+		 * @return {boolean} True if the review is new and matches our 'ratings' filter
+		 */
+		function keepReview(app, review) {
+			if (_.has(app.seen, review.id)) {
+				// Pages often overlap, so we may have already seen this review during this run
+				self.logger.debug(
+					`Skipping review ${review.id} of ${app.appId} - ` +
+					`it was already on page ${app.seen[review.id]}`
+				);
+				return false;
+			}
+			app.seen[review.id] = app.pageNum;
+			if (app.checkpoint && !app.reachedCheckpoint && isAtCheckpoint(review, app.checkpoint)) {
+				app.reachedCheckpoint = true;
+			}
+			if (app.reachedCheckpoint) {
+				// We already have this review (and every one after it)
+				return false;
+			}
+			app.newReviews++;
+			if (review.date && app.range.since && review.date < app.range.since) {
+				return false;
+			}
+			if (review.date && app.range.until && review.date > app.range.until) {
+				return false;
 			}
+			return _.includes(app.options.ratings, review.rating);
+		}
+
+		/**
+		 * Add the criteria that determine which reviews were collected to an object to be emitted
+		 * @param {Object} obj - The object to be emitted
+		 * @return {Object} The same object
+		 */
+		function withCriteria(obj) {
+			const app = self.apps[obj.appId];
+			return _.assign(obj, {
+				sortOrder: app.options.sortOrder,
+				reviewType: app.options.reviewType,
+				ratings: app.options.ratings,
+				maxPages: app.options.maxPages,
+			}, _.omitBy(app.range, _.isUndefined), localeOf(obj.appId));
+		}
+
+		/**
+		 * Get the language and country to collect an app's reviews in
+		 * @param {string} appId - The ID of the app
+		 * @return {Object} The app's 'language' and 'country' (its own, or the Collector's)
+		 */
+		function localeOf(appId) {
+			return {
+				language: self.apps[appId].options.language,
+				country: self.apps[appId].options.country,
+			};
+		}
+
+		/**
+		 * Run a function once all of the Collector's holds (and an app's revision tracking) have settled
+		 * @param {Object} [app] - The app whose revision tracking should settle first
+		 * @param {Function} next - The function to run
+		 */
+		function afterHolds(app, next) {
+			const pending = _.map(self.holds, (hold) => hold());
+			if (app && app.tracking) {
+				pending.push(app.tracking);
+			}
+			Promise.all(pending).then(() => {
+				if (!run.cancelled) {
+					next();
+				}
+			});
+		}
+
+		/**
+		 * Send the requests that were due while we were paused (if there were any)
+		 */
+		function resumeRun() {
+			run.paused = false;
+			const pending = run.pending;
+			run.pending = [];
+			_.forEach(pending, (request) => request());
+		}
+
+		/**
+		 * Stop collecting immediately, without finishing the apps in progress
+		 */
+		function cancelRun() {
+			run.cancelled = true;
+			_.forEach(run.timers, (timer) => clearTimeout(timer));
+			run.timers = [];
+			run.pending = [];
+			limiter.clear();
+			self.run = undefined;
+			emit('cancelled', {
+				appIds: _.keys(active),
+				appsRemaining: appIds.length + _.size(active),
+			});
+			resolveRun(summary);
 		}
 
 		/**
@@ -247,6 +1244,10 @@ class Collector {
 		 * @param {Object} obj - The object to emit with the event
 		 */
 		function emit(event, obj) {
+			// EventEmitter throws 'error' events that nobody is listening for, so only emit them if someone is
+			if (event === 'error' && self.emitter.listenerCount('error') === 0) {
+				return;
+			}
 			const toEmit = obj || {};
 			// Add the OS to the emit message
 			toEmit.os = 'Android';
@@ -254,6 +1255,22 @@ class Collector {
 		}
 	}
 
+	/**
+	 * Collect the details (title, rating, installs etc.) of the Collector's apps, without their reviews
+	 * Each app's details are also emitted with the 'app info' event
+	 * @return {Promise} Resolves with each app's details (keyed by app ID, null if they couldn't be collected)
+	 */
+	collectAppInfo() {
+		if (this.run) {
+			return Promise.reject(new errors.CollectorError('The Collector is already collecting'));
+		}
+		this.infoOnly = true;
+		return this.collect().then((summary) => {
+			this.infoOnly = false;
+			return _.mapValues(summary, (app) => app.info || null);
+		});
+	}
+
 	/**
 	 * Attach event handlers to the Collector's event emitter
 	 * @param {string} event - The name of the event to listen for
@@ -263,21 +1280,494 @@ class Collector {
 		this.emitter.on(event, action);
 	}
 
+	/**
+	 * Get an async iterator of review objects, starting collection if it isn't already running
+	 * The crawl will not move on to the next page until every review yielded so far has been consumed
+	 * @return {Object} An async iterator (usable with 'for await') of 'review' event objects
+	 */
+	reviews() {
+		const iterator = createReviewIterator(this);
+		this.collect();
+		return iterator;
+	}
+
+	/**
+	 * Get a readable stream of review objects, starting collection if it isn't already running
+	 * The crawl will not move on to the next page while the stream's buffer is full
+	 * @param {Object} [options] - The 'highWaterMark' (# of reviews) to buffer before holding the crawl
+	 * @return {Readable} An object-mode stream of 'review' event objects
+	 */
+	createReadStream(options) {
+		const stream = createReviewStream(this, options);
+		this.collect();
+		return stream;
+	}
+
+	/**
+	 * Pause collection - the request in progress (if any) will finish, but no more will be made
+	 */
+	pause() {
+		if (this.run) {
+			this.run.paused = true;
+		}
+	}
+
+	/**
+	 * Resume collection after it was paused
+	 */
+	resume() {
+		if (this.run) {
+			this.run.resume();
+		}
+	}
+
+	/**
+	 * Cancel collection immediately - the promise returned by collect() will resolve with what was collected
+	 */
+	cancel() {
+		if (this.run) {
+			this.run.cancel();
+		}
+	}
+
+	/**
+	 * Get a serializable snapshot of where collection is up to, for use with Collector.fromState()
+	 * @return {Object} The state of the Collector
+	 */
+	getState() {
+		let remaining = _.keys(this.apps);
+		if (this.run) {
+			const progress = this.run.progress();
+			remaining = progress.active.concat(progress.appIds);
+		}
+		const apps = _.map(remaining, (appId) => {
+			const app = this.apps[appId];
+			const state = _.omitBy(_.assign({
+				appId: appId,
+				priority: app.priority,
+			}, app.overrides), _.isUndefined);
+			if (this.run && this.run.progress().active.indexOf(appId) !== -1) {
+				// Save our progress through the apps we're in the middle of
+				const progress = _.pick(app, ['pageNum', 'retries', 'newReviews', 'newest', 'token']);
+				_.assign(state, _.omitBy(progress, _.isNil));
+			} else if (app.resumeFrom) {
+				// We haven't started this app yet, but it came from a previous state
+				_.assign(state, app.resumeFrom);
+			}
+			return state;
+		});
+		// Round-trip through JSON so that what we return is exactly what would be restored
+		return JSON.parse(JSON.stringify({ apps: apps }));
+	}
+
+	/**
+	 * Create a Collector that picks up where a previous one left off
+	 * @param {Object} state - The state returned by a previous Collector's getState()
+	 * @param {Object} options - Configuration options for the review collection
+	 * @return {Collector} The new Collector
+	 */
+	static fromState(state, options) {
+		if (!state || !_.isArray(state.apps)) {
+			throw new errors.OptionsError('The state must be an object returned by getState()');
+		}
+		const apps = _.map(state.apps, (app) => {
+			const entry = _.omit(app, ['pageNum', 'retries', 'newReviews', 'newest', 'token']);
+			_.forEach(['since', 'until'], (name) => {
+				// Dates were saved as strings, but durations should still be durations
+				if (typeof entry[name] === 'string' && dates.parseDuration(entry[name]) === null) {
+					entry[name] = new Date(entry[name]);
+				}
+			});
+			return entry;
+		});
+		const collector = new Collector(apps, options);
+		_.forEach(state.apps, (app) => {
+			if (typeof app.pageNum === 'number') {
+				collector.apps[app.appId].resumeFrom = {
+					pageNum: app.pageNum,
+					retries: app.retries || 0,
+					newReviews: app.newReviews || 0,
+					token: app.token,
+					newest: app.newest ? {
+						reviewId: app.newest.reviewId,
+						date: app.newest.date ? new Date(app.newest.date) : null,
+					} : undefined,
+				};
+			}
+		});
+		return collector;
+	}
+
+	/**
+	 * Get counters describing what the Collector has done (across all of its runs so far)
+	 * Render them for Prometheus with Collector.formatPrometheus()
+	 * @return {Object} The global counters, with each app's counters (keyed by app ID) as 'apps'
+	 */
+	getStats() {
+		return this.stats.snapshot();
+	}
+
+	/**
+	 * Stop collecting reviews for an app once the page currently being processed is complete
+	 * (an app that isn't being collected right now isn't affected)
+	 * @param {string} appId - The ID of the app to stop
+	 */
+	stopApp(appId) {
+		if (this.apps[appId]) {
+			this.apps[appId].stopRequested = true;
+		}
+	}
+
+	/**
+	 * Add an app to collect, even while collection is running
+	 * If the app is already queued, it is moved to match its new priority
+	 * @param {string} appId - The ID of the app
+	 * @param {Object} [options] - The app's 'priority' (higher numbers are collected first, default 0)
+	 * and any options to override the Collector's (like the objects in the constructor's 'apps')
+	 * @return {boolean} True if the app was queued, false if it is already being collected
+	 */
+	addApp(appId, options) {
+		const existing = this.apps[appId];
+		// Keep the options an existing app was given, unless they're being changed
+		const app = existing ? _.assign({ priority: existing.priority }, existing.overrides) : {};
+		_.assign(app, options, { appId: appId });
+		const entry = toAppEntry(app, this.options, this.maxPagesGiven);
+		if (existing && this.run && this.run.progress().active.indexOf(appId) !== -1) {
+			// Keep the app if it was about to be removed, since it's wanted again
+			existing.removed = false;
+			existing.stopRequested = false;
+			return false;
+		}
+		this.apps[appId] = existing ?
+			_.assign(existing, _.pick(entry, ['priority', 'overrides', 'options'])) :
+			entry;
+		if (this.run) {
+			this.run.enqueue(appId);
+		}
+		return true;
+	}
+
+	/**
+	 * Remove an app, even while collection is running
+	 * If the app is being collected, it is stopped once the page currently being processed is complete
+	 * @param {string} appId - The ID of the app
+	 * @return {boolean} True if the app was removed, false if the Collector didn't have it
+	 */
+	removeApp(appId) {
+		const app = this.apps[appId];
+		if (!app) {
+			return false;
+		}
+		if (this.run && this.run.progress().active.indexOf(appId) !== -1) {
+			// We're in the middle of the app, so forget it once it's done
+			app.removed = true;
+			app.stopRequested = true;
+		} else {
+			if (this.run) {
+				this.run.dequeue(appId);
+			}
+			delete this.apps[appId];
+		}
+		return true;
+	}
+
 }
 module.exports = Collector;
+module.exports.MemoryCheckpointStore = checkpoints.MemoryCheckpointStore;
+module.exports.FileCheckpointStore = checkpoints.FileCheckpointStore;
+module.exports.MemoryRevisionStore = revisions.MemoryRevisionStore;
+module.exports.FileRevisionStore = revisions.FileRevisionStore;
+module.exports.formatPrometheus = stats.formatPrometheus;
+module.exports.Scheduler = scheduler.Scheduler;
+module.exports.JsonLinesSink = sinks.JsonLinesSink;
+module.exports.SqliteSink = sinks.SqliteSink;
+_.assign(module.exports, errors);
+
+/**
+ * Validate the options passed to the Collector's constructor
+ * @param {Object} options - The options (merged with our defaults)
+ */
+function validateOptions(options) {
+	if (!_.has(sortOrders, options.sortOrder)) {
+		throw new errors.OptionsError(
+			`The 'sortOrder' option must be one of: ${_.keys(sortOrders).join(', ')}`
+		);
+	}
+	if (!_.has(reviewTypes, options.reviewType)) {
+		throw new errors.OptionsError(
+			`The 'reviewType' option must be one of: ${_.keys(reviewTypes).join(', ')}`
+		);
+	}
+	if (
+		!_.isArray(options.ratings) ||
+		options.ratings.length === 0 ||
+		!_.every(options.ratings, (rating) => _.includes([1, 2, 3, 4, 5], rating))
+	) {
+		throw new errors.OptionsError(
+			'The \'ratings\' option must be a non-empty array of star ratings from 1 to 5'
+		);
+	}
+	validateLocale(options);
+	if (!_.includes(transports, options.transport)) {
+		throw new errors.OptionsError(
+			`The 'transport' option must be one of: ${transports.join(', ')}`
+		);
+	}
+	if (options.transport === 'batchexecute' && options.reviewType !== 'all') {
+		throw new errors.OptionsError(
+			'The \'batchexecute\' transport can only collect a \'reviewType\' of \'all\''
+		);
+	}
+	_.forEach(['since', 'until'], (name) => {
+		if (typeof options[name] !== 'undefined' && dates.resolveDate(options[name]) === null) {
+			throw new errors.OptionsError(
+				`The '${name}' option must be a Date or a duration (e.g. '7d' or '12h')`
+			);
+		}
+	});
+	if (
+		options.since && options.until &&
+		dates.resolveDate(options.since) > dates.resolveDate(options.until)
+	) {
+		throw new errors.OptionsError('The \'since\' option must be before the \'until\' option');
+	}
+	_.forEach(['proxies', 'userAgents'], (name) => {
+		if (
+			typeof options[name] !== 'undefined' &&
+			!(_.isArray(options[name]) && options[name].length > 0 && _.every(options[name], _.isString))
+		) {
+			throw new errors.OptionsError(`The '${name}' option must be a non-empty array of strings`);
+		}
+	});
+	if (typeof options.rotation !== 'undefined') {
+		const rotation = options.rotation;
+		// Each setting is optional, but must be valid if it's given
+		const valid = (name, check) => _.isUndefined(rotation[name]) || check(rotation[name]);
+		if (
+			!_.isPlainObject(rotation) ||
+			!valid('strategy', (strategy) => _.includes(pools.strategies, strategy)) ||
+			!valid('maxFailures', (maxFailures) => _.isInteger(maxFailures) && maxFailures > 0) ||
+			!valid('cooldown', (cooldown) => _.isNumber(cooldown) && cooldown >= 0)
+		) {
+			throw new errors.OptionsError(
+				'The \'rotation\' option must be an object with a \'strategy\' ' +
+				`(one of: ${pools.strategies.join(', ')}), 'maxFailures' and/or 'cooldown'`
+			);
+		}
+	}
+	if (!_.isInteger(options.concurrency) || options.concurrency < 1) {
+		throw new errors.OptionsError('The \'concurrency\' option must be a positive integer');
+	}
+	if (
+		typeof options.rateLimit !== 'undefined' &&
+		!(
+			_.isPlainObject(options.rateLimit) &&
+			_.isInteger(options.rateLimit.requests) && options.rateLimit.requests > 0 &&
+			_.isNumber(options.rateLimit.interval) && options.rateLimit.interval >= 0
+		)
+	) {
+		throw new errors.OptionsError(
+			'The \'rateLimit\' option must be an object with a positive # of \'requests\' per ' +
+			'\'interval\' (in milliseconds)'
+		);
+	}
+	if (typeof options.baseUrl !== 'string' || !/^https?:\/\/[^/]+/.test(options.baseUrl)) {
+		throw new errors.OptionsError('The \'baseUrl\' option must be an http(s) URL');
+	}
+	if (
+		typeof options.cassette !== 'undefined' &&
+		!(
+			_.isPlainObject(options.cassette) &&
+			typeof options.cassette.dir === 'string' &&
+			_.includes(cassettes.modes, options.cassette.mode)
+		)
+	) {
+		throw new errors.OptionsError(
+			'The \'cassette\' option must be an object with a \'dir\' and a \'mode\' ' +
+			`(one of: ${cassettes.modes.join(', ')})`
+		);
+	}
+	if (!logging.isLevel(options.logLevel)) {
+		throw new errors.OptionsError(
+			`The 'logLevel' option must be one of: ${logging.levels.join(', ')}`
+		);
+	}
+	if (options.logger && !_.isObject(options.logger)) {
+		throw new errors.OptionsError(
+			'The \'logger\' option must be an object with debug(), info(), warn() ' +
+			'and/or error() functions'
+		);
+	}
+	if (
+		typeof options.retryPolicy !== 'undefined' &&
+		!_.isFunction(options.retryPolicy) &&
+		!_.isPlainObject(options.retryPolicy)
+	) {
+		throw new errors.OptionsError(
+			'The \'retryPolicy\' option must be a function or an object of settings'
+		);
+	}
+	_.forEach(['appInfo', 'expandReviews'], (name) => {
+		if (typeof options[name] !== 'undefined' && !_.isBoolean(options[name])) {
+			throw new errors.OptionsError(`The '${name}' option must be true or false`);
+		}
+	});
+	if (options.sink && !_.isFunction(options.sink.write)) {
+		throw new errors.OptionsError('The \'sink\' option must have a write() function');
+	}
+	if (
+		options.revisions &&
+		(!_.isFunction(options.revisions.get) || !_.isFunction(options.revisions.set))
+	) {
+		throw new errors.OptionsError('The \'revisions\' option must have get() and set() functions');
+	}
+	if (options.checkpoints) {
+		if (!_.isFunction(options.checkpoints.get) || !_.isFunction(options.checkpoints.set)) {
+			throw new errors.OptionsError(
+				'The \'checkpoints\' option must have get() and set() functions'
+			);
+		}
+		if (options.sortOrder !== 'newest') {
+			throw new errors.OptionsError(
+				'The \'checkpoints\' option can only be used when \'sortOrder\' is \'newest\''
+			);
+		}
+	}
+}
+
+/**
+ * Determine whether or not a review is at (or older than) an app's checkpoint
+ * @param {Object} review - The review object
+ * @param {Object} checkpoint - The checkpoint, with a 'reviewId' and 'date'
+ * @return {boolean} True if we have already collected this review
+ */
+function isAtCheckpoint(review, checkpoint) {
+	if (review.id === checkpoint.reviewId) {
+		return true;
+	}
+	// Dates only go down to the day, so a review from the same day as the checkpoint could be new
+	return Boolean(review.date && checkpoint.date && review.date < checkpoint.date);
+}
+
+/**
+ * Create the entry that the Collector keeps for one of its apps
+ * @param {string|Object} app - The app's ID, or an object with its 'appId', (optionally) its
+ * 'priority' and any of the options in 'appOptions' to override the Collector's
+ * @param {Object} options - The Collector's options
+ * @param {boolean} maxPagesGiven - Whether or not the Collector was given a 'maxPages' option
+ * @return {Object} The app's entry, with its own options (merged over the Collector's) as 'options'
+ */
+function toAppEntry(app, options, maxPagesGiven) {
+	if (typeof app === 'string') {
+		validateAppId(app);
+		return {
+			appId: app,
+			retries: 0,
+			pageNum: firstPage,
+			overrides: {},
+			options: options,
+		};
+	}
+	if (!_.isPlainObject(app) || typeof app.appId !== 'string') {
+		throw new errors.OptionsError('App IDs must be strings (or objects with an \'appId\' string)');
+	}
+	validateAppId(app.appId);
+	if (typeof app.priority !== 'undefined' && !_.isFinite(app.priority)) {
+		throw new errors.OptionsError('An app\'s \'priority\' must be a number');
+	}
+	const overrides = _.omitBy(_.omit(app, ['appId', 'priority']), _.isUndefined);
+	const unknown = _.difference(_.keys(overrides), appOptions);
+	if (unknown.length > 0) {
+		throw new errors.OptionsError(
+			`The '${unknown[0]}' option can't be set for a single app ` +
+			`(only: ${appOptions.join(', ')})`
+		);
+	}
+	const resolved = _.assign({}, options, overrides);
+	if (
+		!maxPagesGiven &&
+		typeof overrides.maxPages === 'undefined' &&
+		_.has(overrides, 'checkBeforeContinue')
+	) {
+		// Use the same default 'maxPages' as the Collector would have with this 'checkBeforeContinue'
+		resolved.maxPages = overrides.checkBeforeContinue ? 0 : defaultMaxPages;
+	}
+	validateOptions(resolved);
+	return _.omitBy({
+		appId: app.appId,
+		retries: 0,
+		pageNum: firstPage,
+		priority: app.priority,
+		overrides: overrides,
+		options: resolved,
+	}, _.isUndefined);
+}
+
+/**
+ * Make sure that an app ID could be a real app's package name (e.g. 'com.instagram.android')
+ * @param {string} appId - The app ID
+ */
+function validateAppId(appId) {
+	if (!appIdPattern.test(appId)) {
+		const message = `'${appId}' is not a valid app ID - it should look like 'com.example.app'`;
+		throw new errors.OptionsError(message, {
+			appId: appId,
+		});
+	}
+}
+
+/**
+ * Create a warning if an app's 'since' date won't stop paging
+ * @param {Object} options - The Collector's options, or an app's own options
+ * @param {string} [appId] - The ID of the app, if the options are an app's
+ * @return {OptionsError|undefined} The warning, or undefined if there's nothing to warn about
+ */
+function sinceWarning(options, appId) {
+	if (!options.since || options.sortOrder === 'newest') {
+		return undefined;
+	}
+	const message = 'Paging will only stop at the \'since\' date when \'sortOrder\' is \'newest\'';
+	return appId ?
+		new errors.OptionsError(`${message} (for ${appId})`, { appId: appId }) :
+		new errors.OptionsError(message);
+}
+
+/**
+ * Validate the 'language' and 'country' of the Collector's options or of a single app
+ * @param {Object} obj - The object containing the (optional) 'language' and 'country'
+ */
+function validateLocale(obj) {
+	if (
+		typeof obj.language !== 'undefined' &&
+		!/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(obj.language)
+	) {
+		throw new errors.OptionsError(
+			'The \'language\' option must be a language code such as \'en\' or \'pt-BR\''
+		);
+	}
+	if (typeof obj.country !== 'undefined' && !/^[a-z]{2}$/i.test(obj.country)) {
+		throw new errors.OptionsError(
+			'The \'country\' option must be a two-letter country code such as \'us\''
+		);
+	}
+}
 
 /**
  * Convert HTML extracted from the reviews JSON object into an array of reviews
  * @param {string} html - The HTML extracted via #responseToHtml
  * @param {string} appId - The app ID of the app that the given HTML is from
  * @param {Function} emit - The collector's emit() function
- * @return {Object[]} An array of review objects
+ * @param {Object} [options] - A 'filter' function that reviews must pass to be emitted and returned,
+ * and the 'language' and 'country' the page was requested with
+ * @return {Object} The matching review objects as 'reviews' and every parsed review as 'parsed'
  */
-function htmlToReviews(html, appId, pageNum, emit) {
+function htmlToReviews(html, appId, pageNum, emit, options) {
+	const opts = options || {};
 	try {
 		const $ = cheerio.load(html);
 		const reviewObjs = $('.single-review');
 		const reviews = [];
+		const parsed = [];
 		// Get the reviews
 		_.forEach(reviewObjs, (reviewObj) => {
 			const review = {};
@@ -287,8 +1777,7 @@ function htmlToReviews(html, appId, pageNum, emit) {
 			const id = $(reviewObj).children('.review-header').attr('data-reviewid');
 			review.id = id;
 			// Review Date
-			const dateStr = $(reviewInfo).children('.review-date').text();
-			review.date = new Date(dateStr);
+			setDate(review, $(reviewInfo).children('.review-date').text(), id);
 			// Review Rating
 			const ratingStr = $(reviewInfo).find('.current-rating').attr('style');
 			const widthRegex = /width: ([0-9]{2,3})%/;
@@ -296,13 +1785,48 @@ function htmlToReviews(html, appId, pageNum, emit) {
 			// Review Title
 			review.title = $(reviewBody).children('.review-title').text().trim();
 			// Review Text
-			review.text = $(reviewBody)
-				.clone()
-				.children()
-				.remove()
-				.end()
+			const body = reviewText($, reviewObj);
+			review.text = body.text;
+			if (body.truncated) {
+				// The Collector will try to get the rest of it from the review's own page
+				review.truncated = true;
+			}
+			// Review Author (older pages may not have any of these)
+			const authorName = $(reviewInfo).find('.author-name').text().trim();
+			review.author = {
+				name: authorName || null,
+				profileUrl: toAbsoluteUrl($(reviewInfo).find('.author-name a').attr('href')),
+				// Use the last (i.e. highest resolution) version of the image
+				avatarUrl: backgroundImageUrl($(reviewObj).find('.author-image').last().attr('style')),
+			};
+			// Review Permalink
+			review.permalink = toAbsoluteUrl($(reviewInfo).find('.reviews-permalink').attr('href'));
+			// Review Helpfulness
+			const helpfulStr = $(reviewObj)
+				.find('.rate-review[data-rating="HELPFUL"] .rate-review-count')
 				.text()
-				.trim();
+				.replace(/[^0-9]/g, '');
+			review.helpfulCount = helpfulStr ? Number(helpfulStr) : null;
+			// Developer Reply
+			const replyObj = $(reviewObj).children('.developer-reply');
+			review.developerReply = null;
+			if (replyObj.length > 0) {
+				review.developerReply = {
+					author: $(replyObj).children('.author-name').text().trim() || null,
+					text: $(replyObj)
+						.clone()
+						.children()
+						.remove()
+						.end()
+						.text()
+						.trim(),
+				};
+				setDate(review.developerReply, $(replyObj).children('.review-date').text(), id);
+			}
+			parsed.push(review);
+			if (opts.filter && !opts.filter(review)) {
+				return;
+			}
 			// Add it to our reviews array
 			reviews.push(review);
 			// Let our listener(s) know
@@ -313,41 +1837,263 @@ function htmlToReviews(html, appId, pageNum, emit) {
 			});
 		});
 		// Return our reviews
-		return { reviews: reviews };
+		return {
+			reviews: reviews,
+			parsed: parsed,
+		};
 	} catch (err) {
 		return { error: err };
 	}
+
+	/**
+	 * Parse a date and add it to a review (or reply), reporting it if it couldn't be parsed
+	 * @param {Object} obj - The review or developer reply to add the date to
+	 * @param {string} dateStr - The date as it was displayed
+	 * @param {string} reviewId - The ID of the review the date belongs to
+	 */
+	function setDate(obj, dateStr, reviewId) {
+		const target = obj;
+		target.date = parseDate(dateStr, opts);
+		if (target.date === null) {
+			// Keep the original text around and let our listener(s) know we couldn't parse it
+			target.dateText = dateStr;
+			emit('unparseable date', {
+				appId: appId,
+				pageNum: pageNum,
+				dateText: dateStr,
+				reviewId: reviewId,
+			});
+			const error = new errors.ParseError(`Could not parse the date '${dateStr}'`, {
+				appId: appId,
+				pageNum: pageNum,
+				reviewId: reviewId,
+			});
+			if (opts.logger) {
+				opts.logger.warn(`Warning: ${error.message} of review ${reviewId}`, { error: error });
+			}
+			emit('warning', {
+				appId: appId,
+				pageNum: pageNum,
+				error: error,
+			});
+		}
+	}
+}
+
+/**
+ * Convert a response from the batchexecute endpoint into an array of reviews
+ * @param {string} body - The body of the response
+ * @param {string} appId - The app ID of the app that the given response is for
+ * @param {number} pageNum - The page the response is for
+ * @param {Function} emit - The collector's emit() function
+ * @param {Object} [options] - A 'filter' function that reviews must pass to be emitted and returned
+ * @return {Object} The matching review objects as 'reviews', every parsed review as 'parsed' and the
+ * continuation 'token' of the next page - or 'invalid' if the response wasn't in the format we expected
+ */
+function batchToReviews(body, appId, pageNum, emit, options) {
+	const opts = options || {};
+	try {
+		const page = batchexecute.parseResponse(decodeBody(body));
+		if (!page) {
+			return { invalid: true };
+		}
+		const parsed = _.map(page.reviews, (raw) => batchexecute.toReview(raw, appId));
+		const reviews = _.filter(parsed, (review) => !opts.filter || opts.filter(review));
+		// Let our listener(s) know
+		_.forEach(reviews, (review) => {
+			emit('review', {
+				appId: appId,
+				pageNum: pageNum,
+				review: review,
+			});
+		});
+		return {
+			reviews: reviews,
+			parsed: parsed,
+			token: page.token,
+		};
+	} catch (err) {
+		return { error: err };
+	}
+}
+
+/**
+ * Get the text of a review, using its expanded text if the page has it
+ * @param {Function} $ - The cheerio instance the review was loaded with
+ * @param {Object} reviewObj - The review's '.single-review' element
+ * @return {Object} The review's 'text', and whether or not it was 'truncated'
+ */
+function reviewText($, reviewObj) {
+	const reviewBody = $(reviewObj).children('.review-body');
+	// Some pages include the whole text of a long review, hidden until 'Full Review' is clicked
+	const fullText = $(reviewBody).children('.review-full-text');
+	if (fullText.length > 0) {
+		return {
+			text: fullText.text().trim(),
+			truncated: false,
+		};
+	}
+	// The 'Full Review' link is only shown when the text has been cut off
+	const link = $(reviewBody).children('.review-link');
+	return {
+		text: $(reviewBody)
+			.clone()
+			.children()
+			.remove()
+			.end()
+			.text()
+			.trim(),
+		truncated: link.length > 0 && !/display:\s*none/.test(link.attr('style') || ''),
+	};
+}
+
+/**
+ * Find the full text of a review on its own page
+ * @param {string} html - The HTML of the review's page
+ * @param {string} reviewId - The ID of the review
+ * @return {string|null} The review's full text, or null if the page doesn't have it
+ */
+function htmlToFullText(html, reviewId) {
+	const $ = cheerio.load(html);
+	const reviewObj = _.find($('.single-review'), (obj) => (
+		$(obj).children('.review-header').attr('data-reviewid') === reviewId
+	));
+	if (!reviewObj) {
+		return null;
+	}
+	const body = reviewText($, reviewObj);
+	return body.truncated ? null : body.text;
+}
+
+/**
+ * Convert the HTML of an app's details page into an object describing the app
+ * @param {string} html - The HTML of the details page
+ * @param {string} appId - The app ID of the app that the given HTML is from
+ * @param {Function} emit - The collector's emit() function
+ * @param {Object} [options] - The 'language' and 'country' the page was requested with, and a 'logger'
+ * @return {Object} The app's details as 'info', or the 'error' that stopped us from parsing them
+ */
+function htmlToAppInfo(html, appId, emit, options) {
+	const opts = options || {};
+	try {
+		const $ = cheerio.load(html);
+		const title = $('.id-app-title').first().text().trim();
+		if (!title) {
+			throw new Error('The page does not have an app title');
+		}
+		const info = {
+			title: title,
+			developer: $('[itemprop="author"] [itemprop="name"]').first().text().trim() || null,
+		};
+		// Average rating and # of ratings (the meta tags aren't rounded or formatted)
+		const aggregate = $('[itemprop="aggregateRating"]');
+		const ratingStr = aggregate.find('meta[itemprop="ratingValue"]').attr('content') ||
+			$('.score-container .score').first().text();
+		info.rating = ratingStr ? Number(ratingStr.replace(',', '.')) : null;
+		const ratingCountStr = aggregate.find('meta[itemprop="ratingCount"]').attr('content') ||
+			$('.reviews-num').first().text();
+		info.ratingCount = toCount(ratingCountStr);
+		// The # of ratings with each # of stars
+		info.histogram = {};
+		_.forEach(['one', 'two', 'three', 'four', 'five'], (className, index) => {
+			const countStr = $(`.rating-histogram .rating-bar-container.${className} .bar-number`).text();
+			info.histogram[index + 1] = toCount(countStr);
+		});
+		// The range of installs, e.g. '1,000,000 - 5,000,000'
+		const installsStr = $('[itemprop="numDownloads"]').first().text().trim();
+		const installs = _.map(installsStr.split(/\s[-–]\s/), toCount);
+		info.installs = installsStr ? {
+			min: installs[0],
+			max: installs.length > 1 ? installs[1] : installs[0],
+			text: installsStr,
+		} : null;
+		// 'Varies with device' is kept as-is
+		info.version = $('[itemprop="softwareVersion"]').first().text().trim() || null;
+		// When the app was last updated
+		const updatedStr = $('[itemprop="datePublished"]').first().text().trim();
+		info.updated = updatedStr ? parseDate(updatedStr, opts) : null;
+		if (updatedStr && info.updated === null) {
+			info.updatedText = updatedStr;
+			const error = new errors.ParseError(`Could not parse the date '${updatedStr}'`, {
+				appId: appId,
+			});
+			if (opts.logger) {
+				opts.logger.warn(`Warning: ${error.message} of ${appId}'s last update`, { error: error });
+			}
+			emit('warning', {
+				appId: appId,
+				error: error,
+			});
+		}
+		return { info: info };
+	} catch (err) {
+		return { error: err };
+	}
+
+	/**
+	 * Turn a formatted count (e.g. '1,234' or '1 234') into a number
+	 * @param {string} str - The count as it was displayed
+	 * @return {number|null} The count, or null if there wasn't one
+	 */
+	function toCount(str) {
+		const digits = (str || '').replace(/[^0-9]/g, '');
+		return digits ? Number(digits) : null;
+	}
 }
 
 /**
  * Extract the HTML from the HTTP request's response
  * @param {Object} response - the response returned from the HTTP requesy
+ * @param {Object} [logger] - The logger to write to (defaults to the console)
  * @return {string|null|undefined} String if response was valid, null if no reviews, undefined if invalid response
  */
-function responseToHtml(response) {
+function responseToHtml(response, logger) {
+	const log = logger || consoleLogger;
 	if (response.headers['content-type'] === 'application/json; charset=utf-8') {
 		try {
-			const decoded = decodeUnicode(decodeUTF8(response.body));
-			const body = JSON.parse(removeLeadingChars(decoded));
+			// JSON.parse() takes care of the escapes in the HTML (including emoji's surrogate pairs)
+			const body = JSON.parse(removeLeadingChars(decodeBody(response.body)));
 			if (_.isArray(body) && body.length > 0) {
 				const arr = body[0];
 				if (_.isArray(arr) && arr.length === 4) {
 					return arr[2];
 				}
-				console.log('No more reviews for this app');
+				log.info('No more reviews for this app');
 				return null;
 			}
-			console.error('Unexpected response - JSON was not in the format we expected');
+			log.warn('Unexpected response - JSON was not in the format we expected');
 			return undefined;
 		} catch (err) {
-			console.error('Unexpected response - JSON was invalid');
+			log.warn('Unexpected response - JSON was invalid');
 			return undefined;
 		}
 	}
-	console.error('Unexpected response - was not in JSON format');
+	log.warn('Unexpected response - was not in JSON format');
 	return undefined;
 }
 
+/**
+ * Helper function to turn a link on a Play Store page into an absolute URL
+ * @param {string} [href] - The link's href attribute
+ * @return {string|null} The absolute URL, or null if there was no link
+ */
+function toAbsoluteUrl(href) {
+	if (!href) {
+		return null;
+	}
+	return /^https?:\/\//.test(href) ? href : `https://play.google.com${href}`;
+}
+
+/**
+ * Helper function to pull the URL out of a 'background-image' style
+ * @param {string} [style] - The element's style attribute
+ * @return {string|null} The URL of the image, or null if there wasn't one
+ */
+function backgroundImageUrl(style) {
+	const match = /background-image:\s*url\(['"]?([^'")]+)['"]?\)/.exec(style || '');
+	return match ? match[1] : null;
+}
+
 /**
  * Helper function to get rid of the extraneous characters at the beginning of the response
  * @param {string} str - The response string to remove the characters from
@@ -377,27 +2123,39 @@ function formToString(form) {
 }
 
 /**
- * Helper function to decode a string to unicode
- * @param {string} str - The string to be decoded
- * @return {string} The resultant unicode string
+ * Helper function to get the size of the body of a response
+ * @param {string|Buffer} [body] - The body of the response
+ * @return {number} The # of bytes in the body
  */
-function decodeUnicode(str) {
-	if (str) {
-		const patt = /\\u([\d\w]{4})/gi;
-		return str.replace(patt, (match, grp) => String.fromCharCode(parseInt(grp, 16)));
+function byteLength(body) {
+	if (Buffer.isBuffer(body)) {
+		return body.length;
 	}
+	return typeof body === 'string' ? Buffer.byteLength(body, 'utf8') : 0;
 }
 
 /**
- * Helper function to decode a unicode string to UTF8
- * @param {string} str - The string to be decoded
- * @return {string} The resultant UTF8 string
+ * Helper function to turn the body of a response into a string, decoding it as UTF-8
+ * @param {string|Buffer} body - The body of the response
+ * @return {string} The decoded body
  */
-function decodeUTF8(str) {
-	try {
-		const encoded = escape(str);
-		return decodeURIComponent(encoded);
-	} catch (err) {
-		return str;
+function decodeBody(body) {
+	if (Buffer.isBuffer(body)) {
+		return body.toString('utf8');
 	}
+	const str = String(body);
+	// A body that was read as Latin-1 has a character for each byte of its multi-byte characters,
+	// so read those bytes again as UTF-8 (unless they aren't valid UTF-8, i.e. it really was Latin-1)
+	if (/[\u0080-\u00ff]/.test(str) && !/[^\u0000-\u00ff]/.test(str)) {
+		// ('binary' is what Latin-1 was called before Node 6.4, and Buffer.from() couldn't take a string
+		// before Node 4.5)
+		const bytes = Buffer.from !== Uint8Array.from ?
+			Buffer.from(str, 'binary') :
+			new Buffer(str, 'binary');
+		const decoded = bytes.toString('utf8');
+		if (decoded.indexOf('\ufffd') === -1) {
+			return decoded;
+		}
+	}
+	return str;
 }
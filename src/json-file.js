@@ -0,0 +1,50 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Read a JSON file, treating a missing file as an empty object
+ * @param {string} filePath - The path of the file
+ * @return {Promise} Resolves with the parsed contents
+ */
+function read(filePath) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(filePath, 'utf8', (err, contents) => {
+			if (err && err.code === 'ENOENT') {
+				resolve({});
+			} else if (err) {
+				reject(err);
+			} else {
+				try {
+					resolve(JSON.parse(contents));
+				} catch (parseErr) {
+					reject(parseErr);
+				}
+			}
+		});
+	});
+}
+
+/**
+ * Write an object to a JSON file, via a temporary file so a crash can't leave it half-written
+ * @param {string} filePath - The path of the file
+ * @param {Object} obj - The object to write
+ * @return {Promise} Resolves once the file has been written
+ */
+function write(filePath, obj) {
+	const tmpPath = `${filePath}.tmp`;
+	return new Promise((resolve, reject) => {
+		fs.writeFile(tmpPath, JSON.stringify(obj, null, '\t'), 'utf8', (writeErr) => {
+			if (writeErr) {
+				reject(writeErr);
+			} else {
+				fs.rename(tmpPath, filePath, (renameErr) => (renameErr ? reject(renameErr) : resolve()));
+			}
+		});
+	});
+}
+
+module.exports = {
+	read: read,
+	write: write,
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Log levels, from most to least verbose
+const levels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Wrap a logger so that it only receives messages at or above the given level
+ * @param {Object} target - The logger to write to, with any of debug(), info(), warn() and error()
+ * @param {string} level - The least severe level to write
+ * @return {Object} A logger with all four functions
+ */
+function createLogger(target, level) {
+	const minLevel = _.indexOf(levels, level);
+	const logger = {};
+	_.forEach(_.without(levels, 'silent'), (method, index) => {
+		logger[method] = (message, details) => {
+			if (index >= minLevel && _.isFunction(target[method])) {
+				target[method](message, details);
+			}
+		};
+	});
+	return logger;
+}
+
+/**
+ * Determine whether or not a log level is valid
+ * @param {string} level - The level to check
+ * @return {boolean} True if it's one of our levels
+ */
+function isLevel(level) {
+	return _.includes(levels, level);
+}
+
+module.exports = {
+	createLogger: createLogger,
+	isLevel: isLevel,
+	levels: levels,
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * A pool hands out items (e.g. proxies or user agents) to use for each request, skipping the
+ * ones that have failed too many times in a row until their cooldown is over
+ */
+
+// The ways items can be picked
+const strategies = ['roundRobin', 'random'];
+
+class Pool {
+
+	/**
+	 * Initialize a new pool
+	 * @param {Array} items - The items to pick from
+	 * @param {Object} settings - How to pick the items
+	 * @param {string} settings.strategy - 'roundRobin' or 'random'
+	 * @param {number} settings.maxFailures - The # of failures in a row before an item is unhealthy
+	 * @param {number} settings.cooldown - How long (in milliseconds) an unhealthy item is skipped for
+	 */
+	constructor(items, settings) {
+		this.items = items.slice();
+		this.strategy = settings.strategy;
+		this.maxFailures = settings.maxFailures;
+		this.cooldown = settings.cooldown;
+		this.index = 0;
+		// The # of failures in a row and the end of the cooldown (if any) of each item, by position
+		this.health = _.map(this.items, () => ({ failures: 0, unhealthyUntil: 0 }));
+	}
+
+	/**
+	 * Pick the item to use for the next request
+	 * If every item is unhealthy, the one whose cooldown ends first is picked rather than none at all
+	 * @param {number} [now] - The current time in milliseconds (for testing)
+	 * @return {*} The item
+	 */
+	next(now) {
+		const time = (typeof now === 'number') ? now : Date.now();
+		const healthy = _.filter(_.range(this.items.length), (i) => (
+			this.health[i].unhealthyUntil <= time
+		));
+		let position;
+		if (healthy.length === 0) {
+			position = _.minBy(_.range(this.items.length), (i) => this.health[i].unhealthyUntil);
+		} else if (this.strategy === 'random') {
+			position = _.sample(healthy);
+		} else {
+			// Take the next healthy item after the one we took last time
+			position = _.find(healthy, (i) => i >= this.index);
+			if (typeof position === 'undefined') {
+				position = healthy[0];
+			}
+			this.index = position + 1;
+		}
+		return this.items[position];
+	}
+
+	/**
+	 * Record that a request with an item failed
+	 * @param {*} item - The item
+	 * @param {number} [now] - The current time in milliseconds (for testing)
+	 * @return {boolean} True if the item just became unhealthy
+	 */
+	markFailure(item, now) {
+		const health = this.health[this.items.indexOf(item)];
+		if (!health) {
+			return false;
+		}
+		health.failures++;
+		if (health.failures < this.maxFailures) {
+			return false;
+		}
+		health.failures = 0;
+		health.unhealthyUntil = ((typeof now === 'number') ? now : Date.now()) + this.cooldown;
+		return true;
+	}
+
+	/**
+	 * Record that a request with an item succeeded
+	 * @param {*} item - The item
+	 */
+	markSuccess(item) {
+		const health = this.health[this.items.indexOf(item)];
+		if (health) {
+			health.failures = 0;
+		}
+	}
+
+}
+
+module.exports = {
+	Pool: Pool,
+	strategies: strategies,
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * A rate limiter lets a number of tasks start within any sliding window of time
+ * The Collector uses one to share a single request rate between all of the apps it's collecting
+ */
+
+class RateLimiter {
+
+	/**
+	 * Initialize a new rate limiter
+	 * @param {Object} limit - How many tasks may start, and how often
+	 * @param {number} limit.requests - The # of tasks that may start within each interval
+	 * @param {number} limit.interval - The length of the window (in milliseconds)
+	 */
+	constructor(limit) {
+		this.requests = limit.requests;
+		this.interval = limit.interval;
+		this.queue = [];	// Tasks that are waiting for a free slot
+		this.started = [];	// When each of the tasks in the current window started
+		this.timer = undefined;
+	}
+
+	/**
+	 * Run a task as soon as the rate limit allows (tasks run in the order they were scheduled)
+	 * @param {Function} task - The function to run
+	 */
+	schedule(task) {
+		this.queue.push(task);
+		this.drain();
+	}
+
+	/**
+	 * Start as many queued tasks as the rate limit allows, and wait for a slot if any are left
+	 */
+	drain() {
+		if (this.timer) {
+			// We are already waiting for a slot to open up
+			return;
+		}
+		while (this.queue.length > 0) {
+			const now = Date.now();
+			// Forget the tasks that have left the window
+			this.started = _.filter(this.started, (time) => now - time < this.interval);
+			if (this.started.length >= this.requests) {
+				const wait = (this.started[0] + this.interval) - now;
+				this.timer = setTimeout(() => {
+					this.timer = undefined;
+					this.drain();
+				}, wait);
+				return;
+			}
+			this.started.push(now);
+			this.queue.shift()();
+		}
+	}
+
+	/**
+	 * Throw away any tasks that haven't started yet
+	 */
+	clear() {
+		this.queue = [];
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = undefined;
+		}
+	}
+
+}
+
+module.exports = RateLimiter;
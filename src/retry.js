@@ -0,0 +1,89 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Statuses that mean the request will never succeed, no matter how many times we retry it
+const permanentStatuses = [400, 401, 403, 404, 410];
+// Statuses that come with a 'Retry-After' header telling us how long to back off for
+const throttledStatuses = [429, 503];
+
+/**
+ * Create the default retry policy: exponential backoff with jitter, respecting 'Retry-After'
+ * @param {Object} settings - The policy's settings
+ * @param {number} settings.maxRetries - The maximum number of attempts before giving up
+ * @param {number} settings.baseDelay - The delay (in milliseconds) before the first retry
+ * @param {number} settings.maxDelay - The longest we will back off for (unless told to by 'Retry-After')
+ * @param {number} settings.factor - How much the delay is multiplied by after each attempt
+ * @param {number} settings.jitter - The fraction (0-1) of each delay that is randomized
+ * @return {Function} The retry policy
+ */
+function createRetryPolicy(settings) {
+	/**
+	 * Decide whether (and when) a failed request should be retried
+	 * @param {Object} failure - What went wrong (see #describeFailure)
+	 * @return {number|boolean} The # of milliseconds to wait before retrying, or false to give up
+	 */
+	return function retryPolicy(failure) {
+		if (failure.permanent || failure.attempt >= settings.maxRetries) {
+			return false;
+		}
+		if (typeof failure.retryAfter === 'number') {
+			// The server told us exactly how long to wait
+			return failure.retryAfter;
+		}
+		const backoff = Math.min(
+			settings.maxDelay,
+			settings.baseDelay * Math.pow(settings.factor, failure.attempt - 1)
+		);
+		// Randomize part of the delay so that retries don't all line up
+		return Math.round(backoff * (1 - (settings.jitter * Math.random())));
+	};
+}
+
+/**
+ * Describe why a request failed, in the form that retry policies expect
+ * @param {Object} details - The 'reason' ('network', 'status', 'invalidResponse' or 'parse'),
+ * plus the 'error' and/or 'response' that caused the failure
+ * @param {number} attempt - The # of times the page has been attempted so far
+ * @return {Object} The failure
+ */
+function describeFailure(details, attempt) {
+	const response = details.response;
+	const statusCode = response ? response.statusCode : undefined;
+	return {
+		reason: details.reason,
+		error: details.error,
+		attempt: attempt,
+		statusCode: statusCode,
+		permanent: _.includes(permanentStatuses, statusCode),
+		retryAfter: _.includes(throttledStatuses, statusCode) ?
+			parseRetryAfter(response.headers && response.headers['retry-after']) :
+			undefined,
+	};
+}
+
+/**
+ * Parse a 'Retry-After' header, which is either a # of seconds or an HTTP date
+ * @param {string} [value] - The value of the header
+ * @param {number} [now] - The current time in milliseconds (for testing)
+ * @return {number|undefined} The # of milliseconds to wait, or undefined if there wasn't a valid value
+ */
+function parseRetryAfter(value, now) {
+	if (typeof value !== 'string' || value.trim() === '') {
+		return undefined;
+	}
+	if (/^[0-9]+$/.test(value.trim())) {
+		return Number(value.trim()) * 1000;
+	}
+	const date = Date.parse(value);
+	if (isNaN(date)) {
+		return undefined;
+	}
+	return Math.max(0, date - (typeof now === 'number' ? now : Date.now()));
+}
+
+module.exports = {
+	createRetryPolicy: createRetryPolicy,
+	describeFailure: describeFailure,
+	parseRetryAfter: parseRetryAfter,
+};
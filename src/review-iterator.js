@@ -0,0 +1,124 @@
+'use strict';
+
+const _ = require('lodash');
+// Older versions of Node don't have Symbol.asyncIterator, so fall back to the registered symbol
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Create an async iterator that yields the objects emitted with a Collector's 'review' event
+ * While the iterator is active, the Collector won't queue another page until the buffer is empty
+ * @param {Collector} collector - The Collector whose reviews should be iterated over
+ * @return {Object} The async iterator
+ */
+function createReviewIterator(collector) {
+	const buffer = [];	// Reviews that have been collected but not consumed
+	const waiting = [];	// Resolvers for calls to next() that are waiting on a review
+	let drained = [];	// Resolvers for holds that are waiting on the buffer to empty
+	let ended = false;
+
+	/**
+	 * Add a review to the buffer, or hand it straight to a waiting call to next()
+	 * @param {Object} result - The object emitted with the 'review' event
+	 */
+	function onReview(result) {
+		const item = _.assign({}, result, {
+			stop: () => stopApp(result.appId),
+		});
+		if (waiting.length > 0) {
+			waiting.shift()({ value: item, done: false });
+		} else {
+			buffer.push(item);
+		}
+	}
+
+	/**
+	 * Keep the Collector from moving on while there are reviews left in the buffer
+	 * @return {Promise|undefined} A promise that resolves once the buffer is empty
+	 */
+	function hold() {
+		if (buffer.length === 0) {
+			return undefined;
+		}
+		return new Promise((resolve) => {
+			drained.push(resolve);
+		});
+	}
+
+	/**
+	 * Let the Collector move on if the buffer is empty
+	 */
+	function releaseIfDrained() {
+		if (buffer.length === 0) {
+			const toRelease = drained;
+			drained = [];
+			_.forEach(toRelease, (resolve) => resolve());
+		}
+	}
+
+	/**
+	 * Stop collecting an app and throw away any of its reviews that haven't been consumed
+	 * @param {string} appId - The ID of the app to stop
+	 */
+	function stopApp(appId) {
+		collector.stopApp(appId);
+		_.remove(buffer, (item) => item.appId === appId);
+		releaseIfDrained();
+	}
+
+	/**
+	 * Detach from the Collector and finish any pending calls to next()
+	 */
+	function end() {
+		ended = true;
+		collector.emitter.removeListener('review', onReview);
+		collector.emitter.removeListener('done with apps', end);
+		collector.emitter.removeListener('cancelled', end);
+		_.pull(collector.holds, hold);
+		while (waiting.length > 0) {
+			waiting.shift()({ value: undefined, done: true });
+		}
+	}
+
+	collector.on('review', onReview);
+	collector.on('done with apps', end);
+	collector.on('cancelled', end);
+	collector.holds.push(hold);
+
+	const iterator = {
+		/**
+		 * Get the next review
+		 * @return {Promise} Resolves with an iterator result
+		 */
+		next() {
+			if (buffer.length > 0) {
+				const item = buffer.shift();
+				releaseIfDrained();
+				return Promise.resolve({ value: item, done: false });
+			}
+			if (ended) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			return new Promise((resolve) => {
+				waiting.push(resolve);
+			});
+		},
+
+		/**
+		 * Called when the consumer breaks out of the loop - nobody wants the reviews anymore, so
+		 * cancel collection (use a review's stop() to skip just its app)
+		 * @return {Promise} Resolves with a finished iterator result
+		 */
+		return() {
+			buffer.length = 0;
+			if (!ended) {
+				end();
+				collector.cancel();
+			}
+			releaseIfDrained();
+			return Promise.resolve({ value: undefined, done: true });
+		},
+	};
+	iterator[asyncIteratorSymbol] = () => iterator;
+	return iterator;
+}
+module.exports = createReviewIterator;
@@ -0,0 +1,185 @@
+'use strict';
+
+const Readable = require('stream').Readable;
+const _ = require('lodash');
+const errors = require('./errors');
+
+/**
+ * Create an object-mode readable stream of the objects emitted with a Collector's 'review' event
+ * While the stream's buffer is full, the Collector won't queue another page (or app)
+ * @param {Collector} collector - The Collector whose reviews should be streamed
+ * @param {Object} [options] - The 'highWaterMark' (# of reviews) to buffer before holding the crawl
+ * @return {Readable} The stream
+ */
+function createReviewStream(collector, options) {
+	let drained = [];	// Resolvers for holds that are waiting on the consumer to read
+	let ended = false;
+	const appErrors = [];	// The errors of the apps that couldn't be collected
+	let failure;	// The error to destroy the stream with, once its buffered reviews have been read
+
+	const stream = new Readable({
+		objectMode: true,
+		highWaterMark: _.get(options, 'highWaterMark', 16),
+		read() {
+			// The consumer wants more, so let the Collector move on
+			release();
+		},
+		destroy(err, callback) {
+			stopCollecting();
+			callback(err);
+		},
+	});
+	if (typeof stream.destroy !== 'function') {
+		// Streams can't be destroyed before Node 8, so give this one a destroy() of its own
+		stream.destroy = (err) => {
+			stopCollecting();
+			if (err) {
+				stream.emit('error', err);
+			}
+			stream.emit('close');
+		};
+	}
+	// Once the Collector is done, nothing more is pushed, so the stream won't ask for more (with
+	// read() above) - instead, check for the end of the buffered reviews whenever the consumer reads
+	const readBuffered = stream.read;
+	stream.read = function read(size) {
+		const result = readBuffered.call(stream, size);
+		failIfDrained();
+		return result;
+	};
+
+	/**
+	 * Push a review into the stream
+	 * @param {Object} result - The object emitted with the 'review' event
+	 */
+	function onReview(result) {
+		if (!ended) {
+			// If this fills the buffer, #hold will keep the crawl from moving on
+			stream.push(result);
+		}
+	}
+
+	/**
+	 * Keep the Collector from moving on while the stream's buffer is full
+	 * @return {Promise|undefined} A promise that resolves once the consumer has read from the stream
+	 */
+	function hold() {
+		if (ended || bufferedLength() < stream._readableState.highWaterMark) {
+			return undefined;
+		}
+		return new Promise((resolve) => {
+			drained.push(resolve);
+		});
+	}
+
+	/**
+	 * Get the # of reviews in the stream's buffer (readableLength needs Node 9, so we read the
+	 * stream's state instead)
+	 * @return {number} The # of reviews
+	 */
+	function bufferedLength() {
+		return stream._readableState.length;
+	}
+
+	/**
+	 * Let the Collector move on
+	 */
+	function release() {
+		const toRelease = drained;
+		drained = [];
+		_.forEach(toRelease, (resolve) => resolve());
+	}
+
+	/**
+	 * Report an app that couldn't be collected with the stream's 'app error' event, without ending
+	 * the stream yet, since the other apps can still be collected
+	 * @param {Object} result - The object emitted with the 'done collecting' event
+	 */
+	function onDone(result) {
+		if (result.error && !ended) {
+			const error = result.error instanceof errors.CollectorError ?
+				result.error :
+				new errors.CollectorError(`Could not collect ${result.appId}: ${result.error.message}`, {
+					appId: result.appId,
+					cause: result.error,
+				});
+			appErrors.push(error);
+			stream.emit('app error', error);
+		}
+	}
+
+	/**
+	 * End the stream once the Collector is done, or destroy it (after the reviews that are still
+	 * buffered have been read) if any of the apps couldn't be collected
+	 */
+	function onFinish() {
+		if (ended) {
+			return;
+		}
+		if (appErrors.length === 0) {
+			onEnd();
+			return;
+		}
+		detach();
+		const appIds = _.map(appErrors, 'appId');
+		failure = new errors.CollectorError(`Could not collect ${appIds.join(', ')}`, {
+			appIds: appIds,
+			errors: appErrors,
+		});
+		failIfDrained();
+	}
+
+	/**
+	 * Destroy the stream with the apps' errors, if there are no buffered reviews left to read
+	 */
+	function failIfDrained() {
+		if (failure && bufferedLength() === 0) {
+			const error = failure;
+			failure = undefined;
+			stream.destroy(error);
+		}
+	}
+
+	/**
+	 * End the stream once the Collector is cancelled (or is done, with every app collected)
+	 */
+	function onEnd() {
+		if (!ended) {
+			detach();
+			stream.push(null);
+		}
+	}
+
+	/**
+	 * Cancel collection when the stream is destroyed before the Collector is done, since nobody is
+	 * reading anymore
+	 */
+	function stopCollecting() {
+		if (!ended) {
+			detach();
+			collector.cancel();
+		}
+		release();
+	}
+
+	/**
+	 * Stop listening to the Collector
+	 */
+	function detach() {
+		ended = true;
+		collector.emitter.removeListener('review', onReview);
+		collector.emitter.removeListener('done collecting', onDone);
+		collector.emitter.removeListener('done with apps', onFinish);
+		collector.emitter.removeListener('cancelled', onEnd);
+		_.pull(collector.holds, hold);
+		release();
+	}
+
+	collector.on('review', onReview);
+	collector.on('done collecting', onDone);
+	collector.on('done with apps', onFinish);
+	collector.on('cancelled', onEnd);
+	collector.holds.push(hold);
+	return stream;
+}
+module.exports = createReviewStream;
@@ -0,0 +1,123 @@
+'use strict';
+
+const _ = require('lodash');
+const jsonFile = require('./json-file');
+
+/*
+ * A revision store remembers the last version of each review that was collected, so that
+ * the Collector can tell when a review has been edited since the last run
+ * Stores must implement get(appId, reviewIds) and set(appId, revisions), both returning promises
+ * Revisions are keyed by review ID and look like: { rating: 4, title: 'Great', text: 'Love it' }
+ */
+
+// The parts of a review that we watch for changes
+const revisionFields = ['rating', 'title', 'text'];
+
+class MemoryRevisionStore {
+
+	/**
+	 * Initialize a new in-memory revision store
+	 * @param {Object} [revisions] - Revisions to start with, keyed by app ID and then review ID
+	 */
+	constructor(revisions) {
+		this.revisions = _.cloneDeep(revisions || {});
+	}
+
+	/**
+	 * Get the revisions we have for some of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {string[]} reviewIds - The IDs of the reviews
+	 * @return {Promise} Resolves with the revisions we have, keyed by review ID
+	 */
+	get(appId, reviewIds) {
+		return Promise.resolve(_.cloneDeep(_.pick(this.revisions[appId], reviewIds)));
+	}
+
+	/**
+	 * Save the latest revisions of some of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {Object} revisions - The revisions to save, keyed by review ID
+	 * @return {Promise} Resolves once the revisions have been saved
+	 */
+	set(appId, revisions) {
+		this.revisions[appId] = _.assign(this.revisions[appId] || {}, _.cloneDeep(revisions));
+		return Promise.resolve();
+	}
+
+}
+
+class FileRevisionStore {
+
+	/**
+	 * Initialize a new revision store backed by a JSON file
+	 * @param {string} filePath - The path of the JSON file (it will be created if it doesn't exist)
+	 */
+	constructor(filePath) {
+		if (typeof filePath !== 'string') {
+			throw new Error('You must provide a file path for the FileRevisionStore');
+		}
+		this.filePath = filePath;
+		// Writes are chained so that two pages finishing at once can't clobber each other
+		this.writing = Promise.resolve();
+	}
+
+	/**
+	 * Get the revisions we have for some of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {string[]} reviewIds - The IDs of the reviews
+	 * @return {Promise} Resolves with the revisions we have, keyed by review ID
+	 */
+	get(appId, reviewIds) {
+		// A write that failed shouldn't stop us from reading what's on disk
+		return this.writing
+			.catch(() => null)
+			.then(() => jsonFile.read(this.filePath))
+			.then((revisions) => _.pick(revisions[appId], reviewIds));
+	}
+
+	/**
+	 * Save the latest revisions of some of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {Object} revisions - The revisions to save, keyed by review ID
+	 * @return {Promise} Resolves once the revisions have been written to disk
+	 */
+	set(appId, revisions) {
+		this.writing = this.writing
+			.catch(() => null)
+			.then(() => jsonFile.read(this.filePath))
+			.then((stored) => {
+				const updated = _.assign(stored, {
+					[appId]: _.assign(stored[appId] || {}, revisions),
+				});
+				return jsonFile.write(this.filePath, updated);
+			});
+		return this.writing;
+	}
+
+}
+
+/**
+ * Get the parts of a review that we watch for changes
+ * @param {Object} review - The review object
+ * @return {Object} The review's revision
+ */
+function toRevision(review) {
+	return _.pick(review, revisionFields);
+}
+
+/**
+ * Determine whether or not a review has changed since its last revision
+ * @param {Object} previous - The last revision we saw
+ * @param {Object} current - The revision we just saw
+ * @return {boolean} True if any of the watched fields are different
+ */
+function hasChanged(previous, current) {
+	return _.some(revisionFields, (field) => previous[field] !== current[field]);
+}
+
+module.exports = {
+	MemoryRevisionStore: MemoryRevisionStore,
+	FileRevisionStore: FileRevisionStore,
+	toRevision: toRevision,
+	hasChanged: hasChanged,
+};
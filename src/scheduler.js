@@ -0,0 +1,288 @@
+'use strict';
+
+const _ = require('lodash');
+const EventEmitter = require('events').EventEmitter;
+const cron = require('./cron');
+const dates = require('./dates');
+const errors = require('./errors');
+
+/*
+ * A scheduler collects a Collector's apps over and over (e.g. in a long-running daemon), on an interval
+ * or a cron expression for each app, and never starts a new cycle for an app while its last one is in flight
+ */
+
+// setTimeout() can't wait any longer than this, so longer waits are split up
+const maxTimeout = 2147483647;
+
+class Scheduler {
+
+	/**
+	 * Initialize a new scheduler
+	 * @param {Collector} collector - The Collector whose apps should be collected
+	 * @param {Object} options - When to collect the apps
+	 * @param {number|string} [options.every] - The time between cycles, in milliseconds or as a duration (e.g. '1h')
+	 * @param {string} [options.cron] - A cron expression for when cycles should start (instead of 'every')
+	 * @param {Object} [options.apps] - Schedules (with 'every' or 'cron') for particular apps, keyed by app ID
+	 * @param {string[]} [options.signals] - The signals to stop gracefully on (default ['SIGTERM'])
+	 */
+	constructor(collector, options) {
+		this.collector = collector;
+		this.options = _.assign({ signals: ['SIGTERM'] }, options);
+		_.forEach(_.keys(this.options.apps), (appId) => {
+			if (!collector.apps[appId]) {
+				throw new errors.OptionsError(
+					`The schedule for ${appId} doesn't match any of the Collector's apps`
+				);
+			}
+		});
+		const defaultSchedule = _.pick(this.options, ['every', 'cron']);
+		this.apps = _.mapValues(collector.apps, (app, appId) => ({
+			appId: appId,
+			schedule: toSchedule(_.get(this.options.apps, appId, defaultSchedule), appId),
+			// What to give the Collector's addApp() at the start of each cycle
+			settings: _.omitBy(_.assign({ priority: app.priority }, app.overrides), _.isUndefined),
+			cycle: 0,
+			inFlight: undefined,
+			nextCycle: undefined,
+			timer: undefined,
+		}));
+		this.emitter = new EventEmitter();
+		this.running = false;
+		this.signalHandlers = {};
+		collector.on('done collecting', (result) => {
+			const app = this.apps[result.appId];
+			if (app && app.inFlight) {
+				finishCycle(this, app, _.pick(result, ['outcome', 'pageNum', 'newReviews', 'error']));
+			}
+		});
+		collector.on('cancelled', () => {
+			_.forEach(this.apps, (app) => {
+				if (app.inFlight) {
+					finishCycle(this, app, { outcome: 'cancelled' });
+				}
+			});
+		});
+	}
+
+	/**
+	 * Start scheduling cycles - apps collected with 'every' start their first cycle straight away,
+	 * while apps collected with 'cron' wait for the expression's next match
+	 */
+	start() {
+		if (this.running) {
+			return;
+		}
+		if (this.collector.run) {
+			throw new errors.CollectorError('The Collector is already collecting');
+		}
+		this.running = true;
+		// The Collector should only collect the apps that are in a cycle
+		_.forEach(_.keys(this.apps), (appId) => this.collector.removeApp(appId));
+		_.forEach(this.apps, (app) => {
+			if (app.schedule.every) {
+				startCycle(this, app, new Date());
+			} else {
+				scheduleCycle(this, app, cron.nextTime(app.schedule.cron, new Date()));
+			}
+		});
+		_.forEach(this.options.signals, (signal) => {
+			this.signalHandlers[signal] = () => {
+				this.collector.logger.info(`Received ${signal}, stopping once the current page is done`);
+				this.stop();
+			};
+			process.on(signal, this.signalHandlers[signal]);
+		});
+	}
+
+	/**
+	 * Stop scheduling cycles, letting the cycles in flight finish the page they're on
+	 * Apps that are still waiting for their turn in the Collector's queue are dropped
+	 * @return {Promise} Resolves once no cycles are in flight
+	 */
+	stop() {
+		if (!this.running) {
+			return this.stopping || Promise.resolve();
+		}
+		this.running = false;
+		// Stop listening so that another signal ends the process as usual
+		_.forEach(this.signalHandlers, (handler, signal) => process.removeListener(signal, handler));
+		this.signalHandlers = {};
+		this.stopping = new Promise((resolve) => {
+			this.resolveStopping = resolve;
+		});
+		const active = this.collector.run ? this.collector.run.progress().active : [];
+		_.forEach(this.apps, (app) => {
+			clearTimeout(app.timer);
+			app.timer = undefined;
+			app.nextCycle = undefined;
+			if (!app.inFlight) {
+				return;
+			}
+			if (_.includes(active, app.appId)) {
+				this.collector.stopApp(app.appId);
+			} else {
+				finishCycle(this, app, { outcome: 'stopped' });
+			}
+		});
+		checkStopped(this);
+		return this.stopping;
+	}
+
+	/**
+	 * Attach event handlers to the Scheduler's event emitter
+	 * @param {string} event - The name of the event to listen for
+	 * @param {funtion} action - The function to be executed each time this event is emitted
+	 */
+	on(event, action) {
+		this.emitter.on(event, action);
+	}
+
+}
+
+/**
+ * Check an app's schedule and turn it into the form we use
+ * @param {Object} schedule - The schedule, with either 'every' or 'cron'
+ * @param {string} appId - The ID of the app the schedule is for
+ * @return {Object} The interval in milliseconds as 'every', or the parsed expression as 'cron'
+ */
+function toSchedule(schedule, appId) {
+	const hasEvery = _.has(schedule, 'every');
+	const hasCron = _.has(schedule, 'cron');
+	if (hasEvery === hasCron) {
+		throw new errors.OptionsError(`The schedule for ${appId} must have either 'every' or 'cron'`);
+	}
+	if (hasCron) {
+		const parsed = cron.parseCron(schedule.cron);
+		if (!cron.nextTime(parsed, new Date())) {
+			throw new errors.OptionsError(
+				`The cron expression for ${appId} ("${schedule.cron}") never matches`
+			);
+		}
+		return { cron: parsed };
+	}
+	const interval = _.isNumber(schedule.every) ?
+		schedule.every :
+		dates.parseDuration(schedule.every);
+	if (!(interval > 0)) {
+		throw new errors.OptionsError(
+			`'every' for ${appId} must be a positive # of milliseconds or a duration (e.g. '1h')`
+		);
+	}
+	return { every: interval };
+}
+
+/**
+ * Start a cycle for an app and schedule the one after it
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {Object} app - The app
+ * @param {Date} scheduledFor - When the cycle was due
+ */
+function startCycle(scheduler, app, scheduledFor) {
+	app.cycle++;
+	app.inFlight = {
+		cycle: app.cycle,
+		startedAt: new Date(),
+	};
+	scheduleCycle(scheduler, app, nextCycleAfter(app, scheduledFor));
+	emit(scheduler, 'cycle start', {
+		appId: app.appId,
+		cycle: app.cycle,
+		scheduledFor: scheduledFor,
+		nextCycle: app.nextCycle,
+	});
+	// Join the Collector's run if it's already collecting other apps, or start a new one
+	scheduler.collector.addApp(app.appId, app.settings);
+	scheduler.collector.collect();
+}
+
+/**
+ * Work out when an app's next cycle is due
+ * @param {Object} app - The app
+ * @param {Date} scheduledFor - When its last cycle was due
+ * @return {Date} When the next cycle is due
+ */
+function nextCycleAfter(app, scheduledFor) {
+	if (app.schedule.every) {
+		// Count from when the last cycle was due (rather than when it started) so that cycles don't drift
+		return new Date(Math.max(scheduledFor.getTime() + app.schedule.every, Date.now()));
+	}
+	return cron.nextTime(app.schedule.cron, new Date(Math.max(scheduledFor.getTime(), Date.now())));
+}
+
+/**
+ * Wait for an app's next cycle to be due, then start it (or skip it if the last one is still in flight)
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {Object} app - The app
+ * @param {Date} due - When the cycle is due
+ */
+function scheduleCycle(scheduler, app, due) {
+	app.nextCycle = due;
+	app.timer = setTimeout(() => {
+		app.timer = undefined;
+		if (Date.now() < due.getTime()) {
+			// We could only wait part of the way
+			scheduleCycle(scheduler, app, due);
+		} else if (app.inFlight) {
+			emit(scheduler, 'cycle skipped', {
+				appId: app.appId,
+				cycle: app.inFlight.cycle,
+				scheduledFor: due,
+			});
+			scheduleCycle(scheduler, app, nextCycleAfter(app, due));
+		} else {
+			startCycle(scheduler, app, due);
+		}
+	}, Math.min(Math.max(due.getTime() - Date.now(), 0), maxTimeout));
+}
+
+/**
+ * Finish the cycle an app has in flight
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {Object} app - The app
+ * @param {Object} result - The 'outcome' of the cycle, and the 'pageNum', 'newReviews' and 'error' (if any)
+ */
+function finishCycle(scheduler, app, result) {
+	const inFlight = app.inFlight;
+	app.inFlight = undefined;
+	// Take the app back out of the Collector so that it isn't collected again until its next cycle
+	scheduler.collector.removeApp(app.appId);
+	emit(scheduler, 'cycle complete', _.assign({
+		appId: app.appId,
+		cycle: inFlight.cycle,
+		startedAt: inFlight.startedAt,
+		duration: Date.now() - inFlight.startedAt.getTime(),
+	}, result, {
+		nextCycle: app.nextCycle || null,
+	}));
+	checkStopped(scheduler);
+}
+
+/**
+ * Emit the 'stopped' event if we're stopping and the last cycle has finished
+ * @param {Scheduler} scheduler - The scheduler
+ */
+function checkStopped(scheduler) {
+	if (!scheduler.resolveStopping || _.some(scheduler.apps, 'inFlight')) {
+		return;
+	}
+	const resolve = scheduler.resolveStopping;
+	scheduler.resolveStopping = undefined;
+	emit(scheduler, 'stopped', {});
+	resolve();
+}
+
+/**
+ * Emit a message with a scheduler's event emitter
+ * @param {Scheduler} scheduler - The scheduler
+ * @param {string} event - The event to emit
+ * @param {Object} obj - The object to emit with the event
+ */
+function emit(scheduler, event, obj) {
+	// Add the OS to the emit message, like the Collector does
+	obj.os = 'Android';
+	scheduler.emitter.emit(event, obj);
+}
+
+module.exports = {
+	Scheduler: Scheduler,
+};
@@ -0,0 +1,333 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+
+/*
+ * A sink saves the reviews that the Collector collects, upserting them by app ID and review ID
+ * Sinks must implement write(appId, pageNum, reviews), returning a promise that resolves once the
+ * page's reviews are safely stored - the Collector won't move on from a page until then
+ * Each saved review is kept with the page it was last seen on and when it was first and last seen
+ */
+
+class JsonLinesSink {
+
+	/**
+	 * Initialize a new sink that writes reviews to a JSON lines file
+	 * Each line is a record like { appId, pageNum, firstSeen, lastSeen, review }, and a review that
+	 * is seen again is appended with its new record (the file is compacted the next time it's opened)
+	 * @param {string} filePath - The path of the file (it will be created if it doesn't exist)
+	 */
+	constructor(filePath) {
+		if (typeof filePath !== 'string') {
+			throw new Error('You must provide a file path for the JsonLinesSink');
+		}
+		this.filePath = filePath;
+		// Writes are chained so that two pages finishing at once can't interleave
+		this.writing = Promise.resolve();
+		// The latest record of each review in the file, keyed by app ID and review ID (once it has been read)
+		this.records = undefined;
+	}
+
+	/**
+	 * Save a page of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {number} pageNum - The page the reviews were on
+	 * @param {Object[]} reviews - The review objects
+	 * @param {number} [now] - The current time in milliseconds (for testing)
+	 * @return {Promise} Resolves once the reviews have been flushed to disk
+	 */
+	write(appId, pageNum, reviews, now) {
+		this.writing = this.writing
+			.catch(() => null)
+			.then(() => this.open())
+			.then(() => {
+				const seenAt = new Date(typeof now === 'number' ? now : Date.now()).toISOString();
+				const records = _.map(reviews, (review) => {
+					const previous = this.records[recordKey(appId, review.id)];
+					return {
+						appId: appId,
+						pageNum: pageNum,
+						firstSeen: previous ? previous.firstSeen : seenAt,
+						lastSeen: seenAt,
+						review: review,
+					};
+				});
+				return appendLines(this.filePath, _.map(records, (record) => JSON.stringify(record)))
+					.then(() => _.forEach(records, (record) => {
+						// Round-trip through JSON so that we remember exactly what is in the file
+						this.records[recordKey(appId, record.review.id)] = JSON.parse(JSON.stringify(record));
+					}), (err) => {
+						// Part of the page may have been written, so read the file again before the next page
+						this.records = undefined;
+						throw err;
+					});
+			});
+		return this.writing;
+	}
+
+	/**
+	 * Read the file (if we haven't already), compacting it if any reviews appear more than once
+	 * A line that was cut off (e.g. by a crash while it was being written) is dropped
+	 * @return {Promise} Resolves once we know what's in the file
+	 */
+	open() {
+		if (this.records) {
+			return Promise.resolve();
+		}
+		return readLines(this.filePath).then((lines) => {
+			const records = {};
+			let needsCompacting = false;
+			_.forEach(lines, (line) => {
+				let record;
+				try {
+					record = JSON.parse(line);
+				} catch (err) {
+					record = undefined;
+				}
+				if (!record || !record.review) {
+					needsCompacting = true;
+					return;
+				}
+				const key = recordKey(record.appId, record.review.id);
+				needsCompacting = needsCompacting || _.has(records, key);
+				records[key] = record;
+			});
+			if (!needsCompacting) {
+				return records;
+			}
+			return rewriteLines(this.filePath, _.map(records, (record) => JSON.stringify(record)))
+				.then(() => records);
+		}).then((records) => {
+			this.records = records;
+		});
+	}
+
+	/**
+	 * Wait for any writes in progress to finish
+	 * @return {Promise} Resolves once every page has been written
+	 */
+	close() {
+		return this.writing.catch(() => null);
+	}
+
+}
+
+class SqliteSink {
+
+	/**
+	 * Initialize a new sink that writes reviews to a SQLite database (this needs the sqlite3 package)
+	 * Reviews are upserted into a table with the columns app_id, review_id, page_num, rating, date,
+	 * review (the review object as JSON), first_seen and last_seen
+	 * @param {string} filePath - The path of the database (it will be created if it doesn't exist)
+	 * @param {Object} [options] - The name of the 'table' to use (default 'reviews')
+	 */
+	constructor(filePath, options) {
+		if (typeof filePath !== 'string') {
+			throw new Error('You must provide a file path for the SqliteSink');
+		}
+		this.filePath = filePath;
+		this.table = _.get(options, 'table', 'reviews');
+		if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+			throw new Error(
+				'The SqliteSink\'s table name can only have letters, numbers and underscores'
+			);
+		}
+		// Pages are written one at a time, each in its own transaction
+		this.writing = Promise.resolve();
+		this.db = undefined;
+	}
+
+	/**
+	 * Save a page of an app's reviews
+	 * @param {string} appId - The ID of the app
+	 * @param {number} pageNum - The page the reviews were on
+	 * @param {Object[]} reviews - The review objects
+	 * @param {number} [now] - The current time in milliseconds (for testing)
+	 * @return {Promise} Resolves once the page's transaction has been committed
+	 */
+	write(appId, pageNum, reviews, now) {
+		const seenAt = new Date(typeof now === 'number' ? now : Date.now()).toISOString();
+		// A review that is already in the table keeps its first_seen, but everything else is updated
+		const insert = `INSERT OR IGNORE INTO ${this.table} ` +
+			'(app_id, review_id, page_num, rating, date, review, first_seen, last_seen) ' +
+			'VALUES (?, ?, ?, ?, ?, ?, ?, ?)';
+		const update = `UPDATE ${this.table} ` +
+			'SET page_num = ?, rating = ?, date = ?, review = ?, last_seen = ? ' +
+			'WHERE app_id = ? AND review_id = ?';
+		this.writing = this.writing
+			.catch(() => null)
+			.then(() => this.open())
+			.then((db) => {
+				const statements = _.flatMap(reviews, (review) => {
+					const date = _.isDate(review.date) ? review.date.toISOString() : null;
+					const json = JSON.stringify(review);
+					return [
+						[insert, [appId, review.id, pageNum, review.rating, date, json, seenAt, seenAt]],
+						[update, [pageNum, review.rating, date, json, seenAt, appId, review.id]],
+					];
+				});
+				return inTransaction(db, statements);
+			});
+		return this.writing;
+	}
+
+	/**
+	 * Open the database (if we haven't already) and create our table if it doesn't exist
+	 * @return {Promise} Resolves with the sqlite3 Database
+	 */
+	open() {
+		if (this.db) {
+			return Promise.resolve(this.db);
+		}
+		let sqlite3;
+		try {
+			// sqlite3 is an optional peer dependency, so it's only loaded once a SqliteSink is used
+			// (an install that's missing or broken shouldn't keep the rest of the collector from loading)
+			sqlite3 = module.require('sqlite3');
+		} catch (err) {
+			return Promise.reject(new Error(
+				'The SqliteSink needs the sqlite3 package (npm install sqlite3), ' +
+				`but it could not be loaded: ${err.message}`
+			));
+		}
+		return new Promise((resolve, reject) => {
+			const db = new sqlite3.Database(this.filePath, (err) => (err ? reject(err) : resolve(db)));
+		}).then((db) => run(db, `CREATE TABLE IF NOT EXISTS ${this.table} (
+			app_id TEXT NOT NULL,
+			review_id TEXT NOT NULL,
+			page_num INTEGER,
+			rating INTEGER,
+			date TEXT,
+			review TEXT NOT NULL,
+			first_seen TEXT NOT NULL,
+			last_seen TEXT NOT NULL,
+			PRIMARY KEY (app_id, review_id)
+		)`).then(() => {
+			this.db = db;
+			return db;
+		}));
+	}
+
+	/**
+	 * Wait for any writes in progress to finish, then close the database
+	 * @return {Promise} Resolves once the database has been closed
+	 */
+	close() {
+		return this.writing.catch(() => null).then(() => {
+			const db = this.db;
+			this.db = undefined;
+			if (!db) {
+				return undefined;
+			}
+			return new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())));
+		});
+	}
+
+}
+
+/**
+ * Get the key that a review is upserted by
+ * @param {string} appId - The ID of the app
+ * @param {string} reviewId - The ID of the review
+ * @return {string} The key
+ */
+function recordKey(appId, reviewId) {
+	return JSON.stringify([appId, reviewId]);
+}
+
+/**
+ * Read the lines of a file, treating a missing file as an empty one
+ * @param {string} filePath - The path of the file
+ * @return {Promise} Resolves with the file's non-blank lines
+ */
+function readLines(filePath) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(filePath, 'utf8', (err, contents) => {
+			if (err && err.code === 'ENOENT') {
+				resolve([]);
+			} else if (err) {
+				reject(err);
+			} else {
+				resolve(_.filter(contents.split('\n'), (line) => line.trim() !== ''));
+			}
+		});
+	});
+}
+
+/**
+ * Append lines to a file, waiting until they have been flushed to disk
+ * @param {string} filePath - The path of the file
+ * @param {string[]} lines - The lines to append
+ * @return {Promise} Resolves once the lines are on disk
+ */
+function appendLines(filePath, lines) {
+	return new Promise((resolve, reject) => {
+		fs.open(filePath, 'a', (openErr, fd) => {
+			if (openErr) {
+				reject(openErr);
+				return;
+			}
+			const done = (err) => fs.close(fd, () => (err ? reject(err) : resolve()));
+			fs.write(fd, lines.map((line) => `${line}\n`).join(''), null, 'utf8', (writeErr) => {
+				if (writeErr) {
+					done(writeErr);
+				} else {
+					fs.fsync(fd, done);
+				}
+			});
+		});
+	});
+}
+
+/**
+ * Replace a file's lines, via a temporary file so a crash can't leave it half-written
+ * @param {string} filePath - The path of the file
+ * @param {string[]} lines - The lines to write
+ * @return {Promise} Resolves once the file has been replaced
+ */
+function rewriteLines(filePath, lines) {
+	const tmpPath = `${filePath}.tmp`;
+	return new Promise((resolve, reject) => {
+		fs.writeFile(tmpPath, '', (err) => (err ? reject(err) : resolve()));
+	})
+		.then(() => appendLines(tmpPath, lines))
+		.then(() => new Promise((resolve, reject) => {
+			fs.rename(tmpPath, filePath, (err) => (err ? reject(err) : resolve()));
+		}));
+}
+
+/**
+ * Run a SQL statement
+ * @param {Database} db - The sqlite3 Database
+ * @param {string} sql - The statement
+ * @param {Array} [params] - The statement's parameters
+ * @return {Promise} Resolves once the statement has run
+ */
+function run(db, sql, params) {
+	return new Promise((resolve, reject) => {
+		db.run(sql, params || [], (err) => (err ? reject(err) : resolve()));
+	});
+}
+
+/**
+ * Run SQL statements one after another in a transaction, rolling it back if any of them fail
+ * @param {Database} db - The sqlite3 Database
+ * @param {Array[]} statements - The statements, each as [sql, params]
+ * @return {Promise} Resolves once the transaction has been committed
+ */
+function inTransaction(db, statements) {
+	const statementsRun = _.reduce(statements, (previous, statement) => (
+		previous.then(() => run(db, statement[0], statement[1]))
+	), run(db, 'BEGIN'));
+	return statementsRun
+		.then(() => run(db, 'COMMIT'))
+		.catch((err) => run(db, 'ROLLBACK').catch(() => null).then(() => {
+			throw err;
+		}));
+}
+
+module.exports = {
+	JsonLinesSink: JsonLinesSink,
+	SqliteSink: SqliteSink,
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+const _ = require('lodash');
+
+/*
+ * Counters describing what a Collector has done, for each app and across all of them
+ * The counters keep going across runs, so that they can be scraped from long-lived collectors
+ */
+
+// The reasons a page can be retried for (see retry.describeFailure())
+const retryReasons = ['network', 'status', 'invalidResponse', 'parse'];
+
+/**
+ * Create a set of counters, all starting at zero
+ * @return {Object} The counters
+ */
+function createCounters() {
+	return {
+		requests: 0,
+		bytesReceived: 0,
+		latency: {
+			count: 0,
+			total: 0,
+			max: 0,
+		},
+		retries: _.zipObject(retryReasons, _.map(retryReasons, () => 0)),
+		pagesParsed: 0,
+		reviewsEmitted: 0,
+		lastError: null,
+	};
+}
+
+class Stats {
+
+	/**
+	 * Initialize a new set of stats
+	 */
+	constructor() {
+		this.global = createCounters();
+		this.apps = {};
+	}
+
+	/**
+	 * Record that a request was made for an app
+	 * @param {string} appId - The ID of the app
+	 */
+	request(appId) {
+		_.forEach(this.countersFor(appId), (counters) => {
+			counters.requests++;
+		});
+	}
+
+	/**
+	 * Record a response (or a request that couldn't be completed) for an app
+	 * @param {string} appId - The ID of the app
+	 * @param {number} bytes - The size of the response's body
+	 * @param {number} latency - How long (in milliseconds) the response took
+	 */
+	response(appId, bytes, latency) {
+		_.forEach(this.countersFor(appId), (counters) => {
+			counters.bytesReceived += bytes;
+			counters.latency.count++;
+			counters.latency.total += latency;
+			counters.latency.max = Math.max(counters.latency.max, latency);
+		});
+	}
+
+	/**
+	 * Record that one of an app's pages is going to be retried
+	 * @param {string} appId - The ID of the app
+	 * @param {string} reason - Why the page failed (see 'retryReasons')
+	 */
+	retry(appId, reason) {
+		_.forEach(this.countersFor(appId), (counters) => {
+			counters.retries[reason] = (counters.retries[reason] || 0) + 1;
+		});
+	}
+
+	/**
+	 * Record that one of an app's pages was parsed
+	 * @param {string} appId - The ID of the app
+	 * @param {number} reviews - The # of reviews that were emitted from the page
+	 */
+	page(appId, reviews) {
+		_.forEach(this.countersFor(appId), (counters) => {
+			counters.pagesParsed++;
+			counters.reviewsEmitted += reviews;
+		});
+	}
+
+	/**
+	 * Record an error for an app
+	 * @param {string} appId - The ID of the app
+	 * @param {Error} error - The error
+	 * @param {number} [now] - The current time in milliseconds (for testing)
+	 */
+	error(appId, error, now) {
+		const lastError = {
+			appId: appId,
+			name: error.name,
+			message: error.message,
+			date: new Date(typeof now === 'number' ? now : Date.now()),
+		};
+		_.forEach(this.countersFor(appId), (counters) => {
+			counters.lastError = lastError;
+		});
+	}
+
+	/**
+	 * Get the counters to update for an app
+	 * @param {string} appId - The ID of the app
+	 * @return {Object[]} The app's counters and the global counters
+	 */
+	countersFor(appId) {
+		if (!this.apps[appId]) {
+			this.apps[appId] = createCounters();
+		}
+		return [this.apps[appId], this.global];
+	}
+
+	/**
+	 * Get a copy of the stats
+	 * @return {Object} The global counters, with each app's counters (keyed by app ID) as 'apps'
+	 */
+	snapshot() {
+		const withMean = (counters) => {
+			const copy = _.cloneDeep(counters);
+			copy.latency.mean = copy.latency.count > 0 ? copy.latency.total / copy.latency.count : 0;
+			return copy;
+		};
+		return _.assign(withMean(this.global), {
+			apps: _.mapValues(this.apps, withMean),
+		});
+	}
+
+}
+
+/**
+ * Render stats (from Collector#getStats()) in Prometheus' text exposition format
+ * @param {Object} stats - The stats
+ * @param {Object} [options] - The 'prefix' of the metrics' names (default 'reviews_collector_')
+ * @return {string} The metrics
+ */
+function formatPrometheus(stats, options) {
+	const prefix = _.get(options, 'prefix', 'reviews_collector_');
+	const apps = _.toPairs(stats.apps);
+	const lines = [];
+
+	/**
+	 * Add a metric with a sample for each app
+	 * @param {string} name - The name of the metric (without the prefix)
+	 * @param {string} type - The metric's type
+	 * @param {string} help - A description of the metric
+	 * @param {Function} samples - Called with each app's counters, returning the app's samples as
+	 * an array of { suffix, labels, value }
+	 */
+	function addMetric(name, type, help, samples) {
+		lines.push(`# HELP ${prefix}${name} ${help}`);
+		lines.push(`# TYPE ${prefix}${name} ${type}`);
+		_.forEach(apps, (pair) => {
+			_.forEach(samples(pair[1]), (sample) => {
+				const labels = _.assign({ app_id: pair[0] }, sample.labels);
+				const labelText = _.map(labels, (value, label) => (
+					`${label}="${escapeLabel(value)}"`
+				)).join(',');
+				lines.push(`${prefix}${name}${sample.suffix || ''}{${labelText}} ${sample.value}`);
+			});
+		});
+	}
+
+	addMetric('requests_total', 'counter', 'Requests made to the Play Store', (app) => [
+		{ value: app.requests },
+	]);
+	addMetric('response_bytes_total', 'counter', 'Bytes received in responses', (app) => [
+		{ value: app.bytesReceived },
+	]);
+	addMetric('response_latency_seconds', 'summary', 'How long responses took to arrive', (app) => [
+		{ suffix: '_sum', value: app.latency.total / 1000 },
+		{ suffix: '_count', value: app.latency.count },
+	]);
+	addMetric('retries_total', 'counter', 'Pages that failed and were retried, by reason', (app) => (
+		_.map(app.retries, (value, reason) => ({ labels: { reason: reason }, value: value }))
+	));
+	addMetric('pages_parsed_total', 'counter', 'Pages of reviews that were parsed', (app) => [
+		{ value: app.pagesParsed },
+	]);
+	addMetric('reviews_emitted_total', 'counter', 'Reviews that were emitted', (app) => [
+		{ value: app.reviewsEmitted },
+	]);
+	addMetric(
+		'last_error_timestamp_seconds',
+		'gauge',
+		'When the last error happened (0 if there hasn\'t been one)',
+		(app) => [
+			{ value: app.lastError ? new Date(app.lastError.date).getTime() / 1000 : 0 },
+		]
+	);
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape a label value for Prometheus' text format
+ * @param {*} value - The label value
+ * @return {string} The escaped value
+ */
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+	Stats: Stats,
+	formatPrometheus: formatPrometheus,
+	retryReasons: retryReasons,
+};